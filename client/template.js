@@ -0,0 +1,104 @@
+/**
+ * Trackingplan SSGTM Control Client
+ * ==================================
+ *
+ * Companion Server-Side Google Tag Manager client for the Trackingplan tag. It lets
+ * schedulers and runbooks flush the tag's queue and inspect its state on demand, which
+ * matters on low-traffic containers where batches only leave when a later event runs.
+ *
+ * How it works:
+ * ------------
+ * 1. Claims requests to the flush and status paths (other requests are left to other clients)
+ * 2. Rejects requests without the shared secret in the X-Trackingplan-Secret header
+ * 3. Runs the container with a "trackingplan_flush" or "trackingplan_status" event. Every tag
+ *    whose trigger matches fires, so vendor tags need a trigger exception for these events
+ * 4. Every Trackingplan tag fired by the event flushes its queue (flush only) and replies
+ *    with its queue status in a "tp_status" message
+ * 5. Returns the collected statuses as JSON
+ *
+ * Configuration Options:
+ * ---------------------
+ * - flushPath: Path that forces sending the pending queue and retry store (default: /_tp/flush)
+ * - statusPath: Path that returns the queue status (default: /_tp/status)
+ * - secret: Shared secret expected in the X-Trackingplan-Secret request header (required)
+ *
+ * @version 1
+ * @see https://docs.trackingplan.com/
+ */
+
+const addMessageListener = require('addMessageListener');
+const claimRequest = require('claimRequest');
+const getRequestHeader = require('getRequestHeader');
+const getRequestPath = require('getRequestPath');
+const getTimestampMillis = require('getTimestampMillis');
+const JSON = require('JSON');
+const logToConsole = require('logToConsole');
+const returnResponse = require('returnResponse');
+const runContainer = require('runContainer');
+const setResponseBody = require('setResponseBody');
+const setResponseHeader = require('setResponseHeader');
+const setResponseStatus = require('setResponseStatus');
+
+const FLUSH_PATH = data.flushPath || '/_tp/flush';
+const STATUS_PATH = data.statusPath || '/_tp/status';
+
+/**
+ * Sends a JSON response and ends the request
+ *
+ * @param {number} statusCode The response status code
+ * @param {Object} body The response body
+ */
+const respond = (statusCode, body) => {
+    setResponseStatus(statusCode);
+    setResponseHeader('content-type', 'application/json');
+    setResponseHeader('cache-control', 'no-store');
+    setResponseBody(JSON.stringify(body));
+    returnResponse();
+};
+
+/**
+ * Checks the shared secret of the request
+ * @return {boolean} True if the request carries the configured secret
+ */
+const isAuthorized = () => {
+    return !!data.secret && getRequestHeader('x-trackingplan-secret') === data.secret;
+};
+
+/**
+ * Claims the request if it targets the flush or status path and runs the matching
+ * control event through the container
+ */
+const handleRequest = () => {
+    const path = getRequestPath();
+    const action = path === FLUSH_PATH ? 'flush' : (path === STATUS_PATH ? 'status' : null);
+
+    if (!action) {
+        return;
+    }
+
+    claimRequest();
+
+    if (!isAuthorized()) {
+        logToConsole('Trackingplan: Unauthorized control request', path);
+        respond(401, { error: 'unauthorized' });
+        return;
+    }
+
+    // Each Trackingplan tag fired by the event replies with its own status
+    const statuses = [];
+    addMessageListener('tp_status', (messageType, message) => {
+        statuses.push(message);
+    });
+
+    runContainer({
+        event_name: 'trackingplan_' + action,
+        timestamp_millis: getTimestampMillis()
+    }, () => {
+        respond(200, {
+            action: action,
+            tags: statuses
+        });
+    });
+};
+
+handleRequest();
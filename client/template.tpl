@@ -0,0 +1,393 @@
+﻿___TERMS_OF_SERVICE___
+
+By creating or modifying this file you agree to Google Tag Manager's Community
+Template Gallery Developer Terms of Service available at
+https://developers.google.com/tag-manager/gallery-tos (or such other URL as
+Google may provide), as modified from time to time.
+
+
+___INFO___
+
+{
+  "type": "CLIENT",
+  "id": "cvt_temp_public_id",
+  "version": 1,
+  "securityGroups": [],
+  "displayName": "Trackingplan Control Client",
+  "categories": [
+    "UTILITY"
+  ],
+  "brand": {
+    "id": "github.com_trackingplan",
+    "displayName": "Trackingplan",
+    "thumbnail": "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAIAAAACACAYAAADDPmHLAAAACXBIWXMAAAsTAAALEwEAmpwYAAAAAXNSR0IArs4c6QAAAARnQU1BAACxjwv8YQUAAAiNSURBVHgB7Z1NVhtHEMerWgQTNsEniNjE9sriBMDC2C8bwwmMToBzAvAJYp9A4gTGGz8HLyKfwLDC9sbjE4QsQgCH6VS1RiD02SN1j6Zn6veenySeZMH0v6u762sABEEQBEEQBEEQBEEQBEEQBEEoMghCbnhy0qjSw5pWuKo11GhwljRA9foNCKegIaKfRwD6Q0VB6+0v9SOYAhHADNn82lg6P4dNXcGHENNj92DbEyFCC2P94t2DegQpEQFkSDLgNRrwpzTgNRrwNXAICaGZVggiAM/8+qVRu4p5oPGpRqiRCV8C3yDuHd579sLqrSA45dY6TpM+kwEfTKS0Xh9nDUQAU8Jm/ewS1hBxdYp13BfRnNJbozaKIoAJoFm+Fiu1ilqvuV7HnUMnhznU68NEIAKwgM06rd+bma7jLhkhAhHAAK6PZ7Nfx10ycE8wB8Kt45mmHfvZBc1ynhoaigRZMWzQ43r3D0ttAR7REU0BPiOv23ZBZvlYEPRvf9yvv7x5XULaazo2cr+B8wHtBxbn9fLBcv2UXyooGY+/7O/ECj+WcvAZsnRn5/C887I0FqDUs74XsgKH97bv8tNSWAAe/BjxTxn8BLIC7Mvgp4UXQGfwIV8euplDR9xn/FhoAcjgD8f4N6Dge4CNT82P9FADYSDkGFourAXY+Ly/CzL4I7miPVEFCojZ8QMcgDASMv/HhbQAtMHZBWEsqPDnwgnAzH527QpWOAkGmd22ghpq2m2Tqjp+dR3rb0hOBwqhRnP0b9oMVhvM7C9WEMcrE58C2JFgomfpAimdDNZ9Cku2wDFrFNWbv8C/QLDCJJGm+UA7/Unt0Dx77iB6FmmtX7x/UG+CIx6dNLaxHfIUbKDrb70H2Pjc2Dy7wI/0oT1HodMqDxad1b/ywIEDlMJVEKypKDgaawF41v97ga99+9EnyWnvRRw/6ZhTemWkADhhAmN8Ddm5Uq1SmQch639Kkojg0CXADL7O3I9e5Vg9F1NASn74Lv7+NOCV/sCPAwVwPfizSJOi7/yPvjutCCpX5UjpcgUtucZT2icAPtMbsz/LHLlEBEmVjeAYri5+l5y++gSQm/ApiYB+l9cgOIeO3/ud57cEkETQqpAfahsnjT2bN15V4BSEsfDsp0Fvdl5fC8CYWz7j5w3EXZulgPYAIgALUN8+al8LIM8RNG3h3TN/FIoIxnD0rsfzagSQ9wgaO6FsrAAFo7wHm0IF2z6Wrd6fGwFc4U2eeF6JYbxAY9DHIAwkVnprkIPNCAABn0LeUbgz7i0VLVlAg6Bdf/39kFC8etR2uFQh73Tlsg/jfIGWANkH3MDXAvXWqIirUnE4xRKmNn8EreX6qewD2pg1P9Yrh/fqI62i0hBQCNVKrPoNlBwE/erHO3rFJqjGKWFVCAQ6qj4c9x62ALqkRe/0Z7eSc37L9jNz9KlqMDl0OD4+wX/8xufmaVnq/Xmdp0HfJ+EfTJJmNxfUhbL9XWNaBrBd+1ZEeKbTxTg2g35/utzKQraIoVDnERm1wggg6Q38hpa21uI8tDrNHVxQTAHQzKCL9TuECpt1rmzSySyfIk1uHCyACELZCFqe8fmCbXxqRhBYVTDPdFrP69Oa9TSwJzAYxwnNhsj2vTrA4yBZraWFhWz9GIrNDIRCrL/ZvpULUCA0aJPL7eogQxRvmCAUlP2gXs4HKAAwVmATMkRhQAGUSgoBGLcwhCiCbD2zijdMIVwo3iClLS4NMTxMx9caF+NARphwMIULP0DO6U5ktCXU8PA/59ktA0YAlwvwMu9h1O5ERltCDQ9nWeNoBMDrJe2wX0FO4brBSZwhoYaHtc4uRH+dFJpbK8BesVhb3f9mMEGGh6tZFcVcC6A9W6a50H7oTWNOS6zkODiKW4Uhpo045mfjxKeT7tbmk2By4UJME8soU6uvNOxyXtfb0afZ0vGLgwviAN3ClWw2gn0CSJaC9VmKIBn8dVdRMB2iQ8giCdYFA8vDjXNoRiJwPfjM94Uw/QFxBt3NhzaI6IiAnmZ5jDpyPfhMq51AEUFgmHsRemZkkygeiMP72yuQwemAM1kX77gf/A5BhofJAvh2C1t1CTt8UN/jztLgwRrwTp/7AtFu/7nLVKe+7wkxPEz4Dg9bp4QlM3OF28Whxp1pu4ZNksI8DRwenr+A4Ej8AS3wxDSdQm/upmkjBpO+DEcceGK/vs88t2E8/tQM8bYxvAwvgyeclVC0G0tBVcWwFCe5eDTQEXniTK/g9xn0CR6H6TaC4XUSp73RXV/Lo7Os4GSAcx14IUG2SJzBCSAJDzfBA6W6b6DZb0h4+Pb/DSUjyPAw+AsMlU4AQYaHyS08SfdUG8poAYJ0C195ig6WTgDhdhPz08anhEsAhBkeRpAlwBUSHr6hlAKQ8PANpRRAEh4O7jjoIzxczj0AmPBw7othevERHi6tAEKtGnIdHi6tAEKtGnJ9GiitAAJuKlkFh5RWAEwIRbF9IP4EDim1AFSQ/QPcUmoBhBoedkmpBWDQgVkBrf8Gh5ReABiYP0BrtxZLBBCYP4Bv+AwOKb0AkuzkCAJBxyIA54RSNZTc8TMCh4gAICC3sIfqJhEAhOMWrqD7Pk4iAMh/kyyGS+neeiiuEQEk5L1VHk7QJ9EGEUBCnq1A9+3eXSMC6IKtQB76I/WSNOrwggigi6Q/kpvGVK6Ysk3eOEQAPZgAUV76JSIccHMO8IgIYADmonvadNnCS9HivH9rJAIYAolge1Yi6HRK89kyp4MIYASJCDJdDvi8b3vbV0ffJ4zjyUljWyPuat93ISOx+V7zexEBWMI9kWKAPR93JM26YVbPdwtpcCmEWQ581+8gTELqLmkJndvATnqzZ9eIABzA5VpcsZMUbVT7Ure1PuZOaSqGo1m0xxMEQRAEQRAEQRAEQRAEQRBKzf/8e7bi9RzZ2wAAAABJRU5ErkJggg\u003d\u003d"
+  },
+  "description": "Companion client for the Trackingplan Server Side Tag. Flushes its queue and reports its status on dedicated paths. Add a trigger exception for the trackingplan_flush and trackingplan_status events to vendor tags. See docs.trackingplan.com.",
+  "containerContexts": [
+    "SERVER"
+  ]
+}
+
+
+___TEMPLATE_PARAMETERS___
+
+[
+  {
+    "type": "TEXT",
+    "name": "secret",
+    "displayName": "Shared Secret",
+    "simpleValueType": true,
+    "alwaysInSummary": false,
+    "help": "Requests must send this value in the X-Trackingplan-Secret header. Requests without it get a 401 response.",
+    "valueValidators": [
+      {
+        "type": "NON_EMPTY"
+      }
+    ]
+  },
+  {
+    "type": "TEXT",
+    "name": "flushPath",
+    "displayName": "Flush Path",
+    "simpleValueType": true,
+    "defaultValue": "/_tp/flush",
+    "alwaysInSummary": true,
+    "help": "Requests to this path force the Trackingplan tags to send their pending queue and retry store.",
+    "valueValidators": [
+      {
+        "type": "NON_EMPTY"
+      }
+    ]
+  },
+  {
+    "type": "TEXT",
+    "name": "statusPath",
+    "displayName": "Status Path",
+    "simpleValueType": true,
+    "defaultValue": "/_tp/status",
+    "alwaysInSummary": true,
+    "help": "Requests to this path return the queue length, oldest track age, last send result and counters of the Trackingplan tags as JSON.",
+    "valueValidators": [
+      {
+        "type": "NON_EMPTY"
+      }
+    ]
+  }
+]
+
+
+___SANDBOXED_JS_FOR_SERVER___
+
+/**
+ * Trackingplan SSGTM Control Client
+ * ==================================
+ *
+ * Companion Server-Side Google Tag Manager client for the Trackingplan tag. It lets
+ * schedulers and runbooks flush the tag's queue and inspect its state on demand, which
+ * matters on low-traffic containers where batches only leave when a later event runs.
+ *
+ * How it works:
+ * ------------
+ * 1. Claims requests to the flush and status paths (other requests are left to other clients)
+ * 2. Rejects requests without the shared secret in the X-Trackingplan-Secret header
+ * 3. Runs the container with a "trackingplan_flush" or "trackingplan_status" event. Every tag
+ *    whose trigger matches fires, so vendor tags need a trigger exception for these events
+ * 4. Every Trackingplan tag fired by the event flushes its queue (flush only) and replies
+ *    with its queue status in a "tp_status" message
+ * 5. Returns the collected statuses as JSON
+ *
+ * Configuration Options:
+ * ---------------------
+ * - flushPath: Path that forces sending the pending queue and retry store (default: /_tp/flush)
+ * - statusPath: Path that returns the queue status (default: /_tp/status)
+ * - secret: Shared secret expected in the X-Trackingplan-Secret request header (required)
+ *
+ * @version 1
+ * @see https://docs.trackingplan.com/
+ */
+
+const addMessageListener = require('addMessageListener');
+const claimRequest = require('claimRequest');
+const getRequestHeader = require('getRequestHeader');
+const getRequestPath = require('getRequestPath');
+const getTimestampMillis = require('getTimestampMillis');
+const JSON = require('JSON');
+const logToConsole = require('logToConsole');
+const returnResponse = require('returnResponse');
+const runContainer = require('runContainer');
+const setResponseBody = require('setResponseBody');
+const setResponseHeader = require('setResponseHeader');
+const setResponseStatus = require('setResponseStatus');
+
+const FLUSH_PATH = data.flushPath || '/_tp/flush';
+const STATUS_PATH = data.statusPath || '/_tp/status';
+
+/**
+ * Sends a JSON response and ends the request
+ *
+ * @param {number} statusCode The response status code
+ * @param {Object} body The response body
+ */
+const respond = (statusCode, body) => {
+    setResponseStatus(statusCode);
+    setResponseHeader('content-type', 'application/json');
+    setResponseHeader('cache-control', 'no-store');
+    setResponseBody(JSON.stringify(body));
+    returnResponse();
+};
+
+/**
+ * Checks the shared secret of the request
+ * @return {boolean} True if the request carries the configured secret
+ */
+const isAuthorized = () => {
+    return !!data.secret && getRequestHeader('x-trackingplan-secret') === data.secret;
+};
+
+/**
+ * Claims the request if it targets the flush or status path and runs the matching
+ * control event through the container
+ */
+const handleRequest = () => {
+    const path = getRequestPath();
+    const action = path === FLUSH_PATH ? 'flush' : (path === STATUS_PATH ? 'status' : null);
+
+    if (!action) {
+        return;
+    }
+
+    claimRequest();
+
+    if (!isAuthorized()) {
+        logToConsole('Trackingplan: Unauthorized control request', path);
+        respond(401, { error: 'unauthorized' });
+        return;
+    }
+
+    // Each Trackingplan tag fired by the event replies with its own status
+    const statuses = [];
+    addMessageListener('tp_status', (messageType, message) => {
+        statuses.push(message);
+    });
+
+    runContainer({
+        event_name: 'trackingplan_' + action,
+        timestamp_millis: getTimestampMillis()
+    }, () => {
+        respond(200, {
+            action: action,
+            tags: statuses
+        });
+    });
+};
+
+handleRequest();
+
+
+___SERVER_PERMISSIONS___
+
+[
+  {
+    "instance": {
+      "key": {
+        "publicId": "logging",
+        "versionId": "1"
+      },
+      "param": [
+        {
+          "key": "environments",
+          "value": {
+            "type": 1,
+            "string": "debug"
+          }
+        }
+      ]
+    },
+    "clientAnnotations": {
+      "isEditedByUser": true
+    },
+    "isRequired": true
+  },
+  {
+    "instance": {
+      "key": {
+        "publicId": "read_request",
+        "versionId": "1"
+      },
+      "param": [
+        {
+          "key": "pathAllowed",
+          "value": {
+            "type": 8,
+            "boolean": true
+          }
+        },
+        {
+          "key": "headersAllowed",
+          "value": {
+            "type": 8,
+            "boolean": true
+          }
+        },
+        {
+          "key": "requestAccess",
+          "value": {
+            "type": 1,
+            "string": "specific"
+          }
+        },
+        {
+          "key": "headerAccess",
+          "value": {
+            "type": 1,
+            "string": "specific"
+          }
+        },
+        {
+          "key": "headerNames",
+          "value": {
+            "type": 2,
+            "listItem": [
+              {
+                "type": 1,
+                "string": "x-trackingplan-secret"
+              }
+            ]
+          }
+        }
+      ]
+    },
+    "clientAnnotations": {
+      "isEditedByUser": true
+    },
+    "isRequired": true
+  },
+  {
+    "instance": {
+      "key": {
+        "publicId": "return_response",
+        "versionId": "1"
+      },
+      "param": []
+    },
+    "isRequired": true
+  },
+  {
+    "instance": {
+      "key": {
+        "publicId": "access_response",
+        "versionId": "1"
+      },
+      "param": [
+        {
+          "key": "writeResponseAccess",
+          "value": {
+            "type": 1,
+            "string": "any"
+          }
+        },
+        {
+          "key": "writeHeaderAccess",
+          "value": {
+            "type": 1,
+            "string": "specific"
+          }
+        },
+        {
+          "key": "writeHeaderNames",
+          "value": {
+            "type": 2,
+            "listItem": [
+              {
+                "type": 1,
+                "string": "content-type"
+              },
+              {
+                "type": 1,
+                "string": "cache-control"
+              }
+            ]
+          }
+        }
+      ]
+    },
+    "clientAnnotations": {
+      "isEditedByUser": true
+    },
+    "isRequired": true
+  },
+  {
+    "instance": {
+      "key": {
+        "publicId": "run_container",
+        "versionId": "1"
+      },
+      "param": []
+    },
+    "isRequired": true
+  },
+  {
+    "instance": {
+      "key": {
+        "publicId": "use_message",
+        "versionId": "1"
+      },
+      "param": [
+        {
+          "key": "allowedActions",
+          "value": {
+            "type": 1,
+            "string": "specific"
+          }
+        },
+        {
+          "key": "messageTypes",
+          "value": {
+            "type": 2,
+            "listItem": [
+              {
+                "type": 3,
+                "mapKey": [
+                  {
+                    "type": 1,
+                    "string": "type"
+                  },
+                  {
+                    "type": 1,
+                    "string": "action"
+                  }
+                ],
+                "mapValue": [
+                  {
+                    "type": 1,
+                    "string": "tp_status"
+                  },
+                  {
+                    "type": 1,
+                    "string": "listen"
+                  }
+                ]
+              }
+            ]
+          }
+        }
+      ]
+    },
+    "clientAnnotations": {
+      "isEditedByUser": true
+    },
+    "isRequired": true
+  }
+]
+
+
+___TESTS___
+
+scenarios: []
+
+
+___NOTES___
+
+Created on 10/19/2026, 9:00:00 AM
+
+
@@ -62,14 +62,48 @@ ___TEMPLATE_PARAMETERS___
         "name": "key",
         "type": "TEXT"
       },
+      {
+        "defaultValue": "static",
+        "displayName": "Source",
+        "name": "source",
+        "type": "SELECT",
+        "selectItems": [
+          {
+            "value": "static",
+            "displayValue": "Static value"
+          },
+          {
+            "value": "event_data",
+            "displayValue": "Event data path"
+          },
+          {
+            "value": "header",
+            "displayValue": "Request header"
+          },
+          {
+            "value": "query",
+            "displayValue": "Query parameter"
+          },
+          {
+            "value": "cookie",
+            "displayValue": "Cookie"
+          }
+        ]
+      },
       {
         "defaultValue": "",
         "displayName": "Value",
         "name": "value",
         "type": "TEXT"
+      },
+      {
+        "defaultValue": "",
+        "displayName": "Default Value",
+        "name": "defaultValue",
+        "type": "TEXT"
       }
     ],
-    "help": "This data will be added to each captured request and help you to analyze data within Trackingplan",
+    "help": "This data will be added to each captured request and help you to analyze data within Trackingplan. Static tags use the value as is. The other sources resolve the tag for each request from the event data path (e.g. page_hostname or x-ga-mp2-user_properties.plan), request header, query parameter or cookie named in the value, falling back to the default value when it\u0027s missing.",
     "newRowButtonText": "New Tag"
   },
   {
@@ -93,6 +127,77 @@ ___TEMPLATE_PARAMETERS___
         ],
         "defaultValue": "PRODUCTION"
       },
+      {
+        "type": "SELECT",
+        "name": "environmentMode",
+        "displayName": "Environment Mode",
+        "macrosInSelect": false,
+        "selectItems": [
+          {
+            "value": "static",
+            "displayValue": "Always use the Environment above"
+          },
+          {
+            "value": "auto",
+            "displayValue": "Detect preview, debug and rule-matched traffic"
+          }
+        ],
+        "simpleValueType": true,
+        "defaultValue": "static",
+        "help": "In automatic mode, Tag Assistant preview and debug requests are reported as TESTING, then the Environment Rules pick a label by hostname or request header. Other requests use the Environment above."
+      },
+      {
+        "type": "SIMPLE_TABLE",
+        "name": "environmentRules",
+        "displayName": "Environment Rules",
+        "simpleTableColumns": [
+          {
+            "defaultValue": "hostname",
+            "displayName": "Match On",
+            "name": "matchOn",
+            "type": "SELECT",
+            "selectItems": [
+              {
+                "value": "hostname",
+                "displayValue": "Hostname"
+              },
+              {
+                "value": "header",
+                "displayValue": "Request header"
+              }
+            ]
+          },
+          {
+            "defaultValue": "",
+            "displayName": "Header Name",
+            "name": "header",
+            "type": "TEXT"
+          },
+          {
+            "defaultValue": "",
+            "displayName": "Pattern (RegEx)",
+            "name": "pattern",
+            "type": "TEXT",
+            "valueHint": "^staging\\."
+          },
+          {
+            "defaultValue": "",
+            "displayName": "Environment",
+            "name": "environment",
+            "type": "TEXT",
+            "valueHint": "STAGING"
+          }
+        ],
+        "enablingConditions": [
+          {
+            "paramName": "environmentMode",
+            "paramValue": "auto",
+            "type": "EQUALS"
+          }
+        ],
+        "help": "Rules are evaluated in order and the first match wins. Patterns are case-insensitive regular expressions matched against the request hostname or the value of the given header.",
+        "newRowButtonText": "New Rule"
+      },
       {
         "type": "CHECKBOX",
         "name": "captureGTM",
@@ -102,13 +207,125 @@ ___TEMPLATE_PARAMETERS___
         "defaultValue": true,
         "alwaysInSummary": false
       },
+      {
+        "type": "CHECKBOX",
+        "name": "monitorTags",
+        "checkboxText": "Monitor Tag Outcomes",
+        "simpleValueType": true,
+        "defaultValue": false,
+        "help": "Send to Trackingplan the status (success, failure, exception or timeout) and execution time of every tag fired for each event, including tags without the Trackingplan snippet. Enable \u0027Include tag name\u0027 in the Additional Tag Metadata of your tags to see their names."
+      },
       {
         "type": "CHECKBOX",
         "name": "useSessions",
         "checkboxText": "Use Session ID Cookie",
         "simpleValueType": true,
         "defaultValue": false,
-        "help": "Use cookies to identify same session hits within Trackingplan UI"
+        "help": "Use cookies to identify same session hits within Trackingplan UI. The session cookie settings are also used when sampling whole sessions."
+      },
+      {
+        "type": "TEXT",
+        "name": "sessionTimeoutMinutes",
+        "displayName": "Session Timeout",
+        "simpleValueType": true,
+        "defaultValue": 30,
+        "enablingConditions": [
+          {
+            "paramName": "useSessions",
+            "paramValue": true,
+            "type": "EQUALS"
+          },
+          {
+            "paramName": "samplingMode",
+            "paramValue": "session",
+            "type": "EQUALS"
+          }
+        ],
+        "valueValidators": [
+          {
+            "type": "POSITIVE_NUMBER"
+          }
+        ],
+        "help": "Minutes of inactivity after which a new session starts",
+        "valueUnit": "minutes"
+      },
+      {
+        "type": "TEXT",
+        "name": "sessionCookieName",
+        "displayName": "Session Cookie Name",
+        "simpleValueType": true,
+        "defaultValue": "_TP_SID",
+        "enablingConditions": [
+          {
+            "paramName": "useSessions",
+            "paramValue": true,
+            "type": "EQUALS"
+          },
+          {
+            "paramName": "samplingMode",
+            "paramValue": "session",
+            "type": "EQUALS"
+          }
+        ],
+        "valueValidators": [
+          {
+            "type": "NON_EMPTY"
+          }
+        ]
+      },
+      {
+        "type": "TEXT",
+        "name": "sessionCookieDomain",
+        "displayName": "Session Cookie Domain",
+        "simpleValueType": true,
+        "defaultValue": "auto",
+        "enablingConditions": [
+          {
+            "paramName": "useSessions",
+            "paramValue": true,
+            "type": "EQUALS"
+          },
+          {
+            "paramName": "samplingMode",
+            "paramValue": "session",
+            "type": "EQUALS"
+          }
+        ],
+        "help": "Domain of the session cookie. \u0027auto\u0027 uses the top level domain of the request."
+      },
+      {
+        "type": "SELECT",
+        "name": "sessionCookieSameSite",
+        "displayName": "Session Cookie SameSite",
+        "macrosInSelect": false,
+        "selectItems": [
+          {
+            "value": "Lax",
+            "displayValue": "Lax"
+          },
+          {
+            "value": "Strict",
+            "displayValue": "Strict"
+          },
+          {
+            "value": "None",
+            "displayValue": "None"
+          }
+        ],
+        "simpleValueType": true,
+        "defaultValue": "Lax",
+        "enablingConditions": [
+          {
+            "paramName": "useSessions",
+            "paramValue": true,
+            "type": "EQUALS"
+          },
+          {
+            "paramName": "samplingMode",
+            "paramValue": "session",
+            "type": "EQUALS"
+          }
+        ]
       },
       {
         "type": "TEXT",
@@ -123,58 +340,752 @@ ___TEMPLATE_PARAMETERS___
         ],
         "help": "The % of requests to be captured is defined by 100 / Sampling Rate. 1 means capture everything."
       },
+      {
+        "type": "SELECT",
+        "name": "samplingMode",
+        "displayName": "Sampling Mode",
+        "macrosInSelect": false,
+        "selectItems": [
+          {
+            "value": "random",
+            "displayValue": "Random events"
+          },
+          {
+            "value": "session",
+            "displayValue": "Whole sessions (_TP_SID cookie)"
+          },
+          {
+            "value": "client_id",
+            "displayValue": "Whole users (GA client_id)"
+          },
+          {
+            "value": "event_data_path",
+            "displayValue": "Event data path"
+          }
+        ],
+        "simpleValueType": true,
+        "defaultValue": "random",
+        "help": "Random sampling decides on each event alone. The other modes hash a stable identifier so all the events of the same session or user are either captured or skipped, keeping funnels complete. Events without the identifier are sampled randomly."
+      },
+      {
+        "type": "TEXT",
+        "name": "samplingKeyPath",
+        "displayName": "Sampling Key Path",
+        "simpleValueType": true,
+        "valueHint": "user_id",
+        "enablingConditions": [
+          {
+            "paramName": "samplingMode",
+            "paramValue": "event_data_path",
+            "type": "EQUALS"
+          }
+        ],
+        "valueValidators": [
+          {
+            "type": "NON_EMPTY"
+          }
+        ],
+        "help": "The event data key path of the identifier to sample by."
+      },
+      {
+        "type": "CHECKBOX",
+        "name": "schemaFingerprintMode",
+        "checkboxText": "Schema Fingerprint Mode",
+        "simpleValueType": true,
+        "defaultValue": false,
+        "help": "Sends a track in full only when its event shape (provider, event name and property paths with their types) is new or its fingerprint expired. Other tracks are counted per fingerprint and the counts are sent periodically. New shapes bypass sampling."
+      },
+      {
+        "type": "TEXT",
+        "name": "schemaTtlMinutes",
+        "displayName": "Schema Fingerprint TTL (minutes)",
+        "simpleValueType": true,
+        "defaultValue": 60,
+        "enablingConditions": [
+          {
+            "paramName": "schemaFingerprintMode",
+            "paramValue": true,
+            "type": "EQUALS"
+          }
+        ],
+        "valueValidators": [
+          {
+            "type": "POSITIVE_NUMBER"
+          }
+        ],
+        "help": "Time after which a known fingerprint is sent in full again."
+      },
+      {
+        "type": "SIMPLE_TABLE",
+        "name": "filterRules",
+        "displayName": "Filter Rules",
+        "simpleTableColumns": [
+          {
+            "defaultValue": "event_name",
+            "displayName": "Match On",
+            "name": "matchOn",
+            "type": "SELECT",
+            "selectItems": [
+              {
+                "value": "event_name",
+                "displayValue": "Event name"
+              },
+              {
+                "value": "provider",
+                "displayValue": "Provider"
+              },
+              {
+                "value": "endpoint",
+                "displayValue": "Endpoint host/path"
+              },
+              {
+                "value": "event_data",
+                "displayValue": "Event data path"
+              }
+            ]
+          },
+          {
+            "defaultValue": "",
+            "displayName": "Event Data Path",
+            "name": "path",
+            "type": "TEXT"
+          },
+          {
+            "defaultValue": "",
+            "displayName": "Pattern (RegEx)",
+            "name": "pattern",
+            "type": "TEXT",
+            "valueHint": "^(scroll|user_engagement)$"
+          },
+          {
+            "defaultValue": "include",
+            "displayName": "Action",
+            "name": "action",
+            "type": "SELECT",
+            "selectItems": [
+              {
+                "value": "include",
+                "displayValue": "Include (no sampling)"
+              },
+              {
+                "value": "exclude",
+                "displayValue": "Exclude"
+              },
+              {
+                "value": "sample",
+                "displayValue": "Sample at rate"
+              }
+            ]
+          },
+          {
+            "defaultValue": "",
+            "displayName": "Sampling Rate",
+            "name": "samplingRate",
+            "type": "TEXT"
+          }
+        ],
+        "help": "Rules are evaluated in order and the first match wins. Patterns are case-insensitive regular expressions matched against the event name, the provider id, the endpoint host and path (e.g. graph.facebook.com/v18.0/123/events) or the event data value at the given path. Tracks that match no rule use the global Sampling Rate.",
+        "newRowButtonText": "New Rule"
+      },
+      {
+        "type": "SIMPLE_TABLE",
+        "name": "routes",
+        "displayName": "Routes",
+        "simpleTableColumns": [
+          {
+            "defaultValue": "hostname",
+            "displayName": "Match On",
+            "name": "matchOn",
+            "type": "SELECT",
+            "selectItems": [
+              {
+                "value": "hostname",
+                "displayValue": "Hostname"
+              },
+              {
+                "value": "event_data",
+                "displayValue": "Event data path"
+              },
+              {
+                "value": "provider",
+                "displayValue": "Provider"
+              }
+            ]
+          },
+          {
+            "defaultValue": "",
+            "displayName": "Event Data Path",
+            "name": "path",
+            "type": "TEXT"
+          },
+          {
+            "defaultValue": "",
+            "displayName": "Pattern (RegEx)",
+            "name": "pattern",
+            "type": "TEXT",
+            "valueHint": "(^|\\.)brand-b\\.com$"
+          },
+          {
+            "defaultValue": "",
+            "displayName": "Trackingplan ID",
+            "name": "tpId",
+            "type": "TEXT"
+          },
+          {
+            "defaultValue": "",
+            "displayName": "Endpoint",
+            "name": "endpoint",
+            "type": "TEXT",
+            "valueHint": "https://tracks.trackingplan.com/v1/",
+            "valueValidators": [
+              {
+                "type": "REGEX",
+                "args": [
+                  "^(https://.+)?$"
+                ],
+                "errorMessage": "The endpoint must be an https URL"
+              }
+            ]
+          }
+        ],
+        "help": "Sends the matching tracks to another Trackingplan workspace. Rules are evaluated in order and the first match wins. Patterns are case-insensitive regular expressions matched against the request hostname, the event data value at the given path or the provider id. An empty endpoint uses the tag\u0027s endpoint; routes to a non-https endpoint are rejected and the tracks they match are dropped. Tracks that match no route go to the Trackingplan ID above. Each destination keeps its own queue.",
+        "newRowButtonText": "New Route"
+      },
       {
         "type": "GROUP",
-        "name": "developerSettings",
-        "displayName": "Developer Settings",
+        "name": "privacySettings",
+        "displayName": "Privacy",
         "groupStyle": "NO_ZIPPY",
         "subParams": [
           {
-            "type": "CHECKBOX",
-            "name": "extraLog",
-            "checkboxText": "Log developer traces",
+            "type": "SELECT",
+            "name": "consentDeniedPolicy",
+            "displayName": "When Consent Is Denied",
+            "macrosInSelect": false,
+            "selectItems": [
+              {
+                "value": "capture",
+                "displayValue": "Capture as-is"
+              },
+              {
+                "value": "redact",
+                "displayValue": "Redact identifiers"
+              },
+              {
+                "value": "skip",
+                "displayValue": "Skip"
+              }
+            ],
             "simpleValueType": true,
-            "help": "This displays extra debug messages mainly for Trackingplan developers. This don\u0027t overrides the logging permissions."
+            "defaultValue": "capture",
+            "help": "What to do with requests whose Consent Mode signals (gcs, gcd or consent_state) are all denied. Redacting identifiers removes client, user and click ids, CAPI user data and any detected PII."
           },
           {
-            "type": "TEXT",
-            "name": "maxBatchSize",
-            "displayName": "Maximum Batch Size",
-            "simpleValueType": true,
-            "defaultValue": 1,
-            "valueValidators": [
+            "type": "SELECT",
+            "name": "consentPartialPolicy",
+            "displayName": "When Consent Is Partial",
+            "macrosInSelect": false,
+            "selectItems": [
               {
-                "type": "POSITIVE_NUMBER"
+                "value": "capture",
+                "displayValue": "Capture as-is"
+              },
+              {
+                "value": "redact",
+                "displayValue": "Redact identifiers"
+              },
+              {
+                "value": "skip",
+                "displayValue": "Skip"
               }
             ],
-            "help": "Trackingplan will send data to their servers once it has collected this number of requests"
+            "simpleValueType": true,
+            "defaultValue": "capture",
+            "help": "What to do with requests where some Consent Mode signals are granted and others denied."
           },
           {
-            "type": "TEXT",
-            "name": "endpoint",
-            "displayName": "Trackingplan Endpoint",
-            "simpleValueType": true,
-            "defaultValue": "https://tracks.trackingplan.com/v1/",
-            "valueValidators": [
+            "type": "SELECT",
+            "name": "consentUnknownPolicy",
+            "displayName": "When Consent Is Unknown",
+            "macrosInSelect": false,
+            "selectItems": [
               {
-                "type": "NON_EMPTY"
+                "value": "capture",
+                "displayValue": "Capture as-is"
+              },
+              {
+                "value": "redact",
+                "displayValue": "Redact identifiers"
+              },
+              {
+                "value": "skip",
+                "displayValue": "Skip"
               }
             ],
-            "help": "The Trackingplan collector endpoint. It can vary by region."
+            "simpleValueType": true,
+            "defaultValue": "capture",
+            "help": "What to do with requests without any Consent Mode signal."
           },
           {
-            "type": "TEXT",
-            "name": "maxBatchAgeSeconds",
-            "displayName": "Max Batch Age",
+            "type": "CHECKBOX",
+            "name": "redactPII",
+            "checkboxText": "Redact PII",
             "simpleValueType": true,
-            "defaultValue": 5,
-            "valueValidators": [
+            "defaultValue": false,
+            "help": "Masks emails, phone numbers, IPv4/IPv6 addresses and card numbers found in the captured URLs, bodies and event data before they leave the container."
+          },
+          {
+            "type": "SIMPLE_TABLE",
+            "name": "redactionRules",
+            "displayName": "Redaction Rules",
+            "simpleTableColumns": [
               {
-                "type": "POSITIVE_NUMBER"
+                "defaultValue": "",
+                "displayName": "Key Path",
+                "name": "path",
+                "type": "TEXT",
+                "valueHint": "user_data.em"
+              },
+              {
+                "defaultValue": "drop",
+                "displayName": "Action",
+                "name": "action",
+                "type": "SELECT",
+                "selectItems": [
+                  {
+                    "value": "drop",
+                    "displayValue": "Drop"
+                  },
+                  {
+                    "value": "mask",
+                    "displayValue": "Mask"
+                  },
+                  {
+                    "value": "hash",
+                    "displayValue": "Hash (SHA-256)"
+                  }
+                ]
               }
             ],
-            "help": "This is the number of seconds to send data to Trackingplan even if the batch has not reached it size limit",
-            "valueUnit": "seconds"
+            "help": "Keys to remove, mask or hash in the captured event data, JSON bodies and query strings. Use dots for nested keys and * to match any key or array index (e.g. user_data.em, items.*.coupon). For query strings and form bodies the path is the parameter name.",
+            "newRowButtonText": "New Rule"
+          },
+          {
+            "type": "TEXT",
+            "name": "requestHeaders",
+            "displayName": "Request Headers",
+            "simpleValueType": true,
+            "defaultValue": "accept-language,content-type,origin,referer",
+            "help": "Comma separated list of incoming request headers reported in the track request_metadata, next to the request method, user agent and client hints. Credentials such as authorization headers and access tokens are always masked."
+          },
+          {
+            "type": "CHECKBOX",
+            "name": "collectTruncatedIp",
+            "checkboxText": "Report the truncated client IP",
+            "simpleValueType": true,
+            "defaultValue": false,
+            "help": "Reports the client IP with its last IPv4 octet zeroed, or the first three groups (a /48 network) of an IPv6 address. IPv4-mapped IPv6 addresses are truncated as IPv4. The PII redaction leaves the truncated IP as is; it is dropped when the consent policy redacts identifiers."
+          },
+          {
+            "type": "CHECKBOX",
+            "name": "collectGeo",
+            "checkboxText": "Report the client country, region and city",
+            "simpleValueType": true,
+            "defaultValue": false,
+            "help": "Reads the geolocation headers set by the hosting platform (App Engine, Cloudflare, CloudFront or x-geo-* headers)."
+          }
+        ]
+      },
+      {
+        "type": "GROUP",
+        "name": "validationSettings",
+        "displayName": "Validation",
+        "groupStyle": "NO_ZIPPY",
+        "subParams": [
+          {
+            "type": "SIMPLE_TABLE",
+            "name": "validationRules",
+            "displayName": "Validation Rules",
+            "simpleTableColumns": [
+              {
+                "defaultValue": "",
+                "displayName": "Event Name (RegEx)",
+                "name": "eventName",
+                "type": "TEXT",
+                "valueHint": "^purchase$"
+              },
+              {
+                "defaultValue": "event_data",
+                "displayName": "Source",
+                "name": "source",
+                "type": "SELECT",
+                "selectItems": [
+                  {
+                    "value": "event_data",
+                    "displayValue": "GA4 event data"
+                  },
+                  {
+                    "value": "ga4",
+                    "displayValue": "GA4 request payload"
+                  },
+                  {
+                    "value": "facebook_capi",
+                    "displayValue": "Facebook CAPI payload"
+                  },
+                  {
+                    "value": "tiktok_events_api",
+                    "displayValue": "TikTok Events API payload"
+                  },
+                  {
+                    "value": "pinterest_capi",
+                    "displayValue": "Pinterest CAPI payload"
+                  },
+                  {
+                    "value": "snapchat_capi",
+                    "displayValue": "Snapchat CAPI payload"
+                  },
+                  {
+                    "value": "google_ads",
+                    "displayValue": "Google Ads payload"
+                  }
+                ]
+              },
+              {
+                "defaultValue": "",
+                "displayName": "Property Path",
+                "name": "property",
+                "type": "TEXT",
+                "valueHint": "transaction_id"
+              },
+              {
+                "defaultValue": "required",
+                "displayName": "Check",
+                "name": "check",
+                "type": "SELECT",
+                "selectItems": [
+                  {
+                    "value": "required",
+                    "displayValue": "Required"
+                  },
+                  {
+                    "value": "type",
+                    "displayValue": "Type"
+                  },
+                  {
+                    "value": "allowed",
+                    "displayValue": "Allowed values"
+                  },
+                  {
+                    "value": "regex",
+                    "displayValue": "Matches RegEx"
+                  }
+                ]
+              },
+              {
+                "defaultValue": "",
+                "displayName": "Value",
+                "name": "value",
+                "type": "TEXT"
+              }
+            ],
+            "help": "Each rule checks a property of the events whose name matches the pattern. Event data rules check the GA4 event data, provider rules the decoded body of that vendor\u0027s requests (use dots for nested keys and indexes for array items, e.g. data.0.custom_data.value). The value is the expected type (string, number, boolean, array or object), a comma separated list of allowed values or a regular expression. Violations are attached to the track.",
+            "newRowButtonText": "New Rule"
+          },
+          {
+            "type": "SELECT",
+            "name": "validationMode",
+            "displayName": "Validation Mode",
+            "macrosInSelect": false,
+            "selectItems": [
+              {
+                "value": "annotate",
+                "displayValue": "Send every track, with its violations"
+              },
+              {
+                "value": "violations_only",
+                "displayValue": "Send only tracks with violations"
+              }
+            ],
+            "simpleValueType": true,
+            "defaultValue": "annotate",
+            "help": "Sending only the failing tracks cuts ingest, but Trackingplan then only sees the events that break a local rule."
+          },
+          {
+            "type": "CHECKBOX",
+            "name": "logViolations",
+            "checkboxText": "Log violations in preview",
+            "simpleValueType": true,
+            "defaultValue": true,
+            "help": "Logs every violation to the console in Tag Assistant preview and for debug requests, so they show up while testing. Violations are never logged in production."
+          }
+        ]
+      },
+      {
+        "type": "GROUP",
+        "name": "developerSettings",
+        "displayName": "Developer Settings",
+        "groupStyle": "NO_ZIPPY",
+        "subParams": [
+          {
+            "type": "CHECKBOX",
+            "name": "extraLog",
+            "checkboxText": "Log developer traces",
+            "simpleValueType": true,
+            "help": "This displays extra debug messages mainly for Trackingplan developers, in preview and in the production logs of the server container."
+          },
+          {
+            "type": "SELECT",
+            "name": "debugTriggerSource",
+            "displayName": "Debug Trigger",
+            "macrosInSelect": false,
+            "selectItems": [
+              {
+                "value": "none",
+                "displayValue": "None"
+              },
+              {
+                "value": "header",
+                "displayValue": "Request header"
+              },
+              {
+                "value": "cookie",
+                "displayValue": "Cookie"
+              },
+              {
+                "value": "query",
+                "displayValue": "Query parameter"
+              }
+            ],
+            "simpleValueType": true,
+            "defaultValue": "none",
+            "help": "Requests whose debug header, cookie or query parameter holds the debug token bypass sampling and filters, log developer traces, and have their tracks sent right away with \"debug\": true. Lets QA check a live flow without changing the global settings."
+          },
+          {
+            "type": "TEXT",
+            "name": "debugTriggerName",
+            "displayName": "Debug Trigger Name",
+            "simpleValueType": true,
+            "valueHint": "x-tp-debug",
+            "enablingConditions": [
+              {
+                "paramName": "debugTriggerSource",
+                "paramValue": "none",
+                "type": "NOT_EQUALS"
+              }
+            ],
+            "help": "Name of the header, cookie or query parameter. Defaults to x-tp-debug for headers and tp_debug otherwise."
+          },
+          {
+            "type": "TEXT",
+            "name": "debugToken",
+            "displayName": "Debug Token",
+            "simpleValueType": true,
+            "enablingConditions": [
+              {
+                "paramName": "debugTriggerSource",
+                "paramValue": "none",
+                "type": "NOT_EQUALS"
+              }
+            ],
+            "valueValidators": [
+              {
+                "type": "NON_EMPTY"
+              }
+            ],
+            "help": "Secret value the debug trigger must hold. Use a long random value and change it once QA is done, as anyone who knows it can bypass sampling."
+          },
+          {
+            "type": "TEXT",
+            "name": "maxBatchSize",
+            "displayName": "Maximum Batch Size",
+            "simpleValueType": true,
+            "defaultValue": 1,
+            "valueValidators": [
+              {
+                "type": "POSITIVE_NUMBER"
+              }
+            ],
+            "help": "Trackingplan will send data to their servers once it has collected this number of requests"
+          },
+          {
+            "type": "TEXT",
+            "name": "maxBatchKilobytes",
+            "displayName": "Maximum Batch Size (KB)",
+            "simpleValueType": true,
+            "defaultValue": 512,
+            "valueValidators": [
+              {
+                "type": "POSITIVE_NUMBER"
+              }
+            ],
+            "help": "Batches bigger than this are split into several requests, so a few large events don't get a whole batch rejected"
+          },
+          {
+            "type": "TEXT",
+            "name": "maxFieldKilobytes",
+            "displayName": "Maximum Field Size (KB)",
+            "simpleValueType": true,
+            "defaultValue": 16,
+            "valueValidators": [
+              {
+                "type": "POSITIVE_NUMBER"
+              }
+            ],
+            "help": "The request body and each top-level event data or decoded payload value bigger than this are truncated, and replaced by a truncation marker. Truncated fields are listed in the track truncated_fields."
+          },
+          {
+            "type": "CHECKBOX",
+            "name": "minimalContext",
+            "checkboxText": "Minimal Context",
+            "simpleValueType": true,
+            "defaultValue": false,
+            "help": "Drops the event data values that are already in the request URL or body, to keep tracks small. Dropped keys are listed in the track minimal_context_dropped."
+          },
+          {
+            "type": "TEXT",
+            "name": "endpoint",
+            "displayName": "Trackingplan Endpoint",
+            "simpleValueType": true,
+            "defaultValue": "https://tracks.trackingplan.com/v1/",
+            "valueValidators": [
+              {
+                "type": "NON_EMPTY"
+              },
+              {
+                "type": "REGEX",
+                "args": [
+                  "^https://.+"
+                ],
+                "errorMessage": "The endpoint must be an https URL"
+              }
+            ],
+            "help": "The Trackingplan collector endpoint. It can vary by region. Only https endpoints are accepted: the tag refuses to send anything otherwise."
+          },
+          {
+            "type": "CHECKBOX",
+            "name": "signUploads",
+            "checkboxText": "Sign uploads",
+            "simpleValueType": true,
+            "defaultValue": false,
+            "help": "Adds an HMAC-SHA256 signature of \u003ctimestamp\u003e.\u003cnonce\u003e.\u003cbody\u003e to every batch, in the X-TP-Timestamp, X-TP-Nonce, X-TP-Key-Id and X-TP-Signature headers. The shared secret is read from the server container credentials file (SGTM_CREDENTIALS), so it never appears in the container configuration."
+          },
+          {
+            "type": "TEXT",
+            "name": "signingKeyId",
+            "displayName": "Signing Key ID",
+            "simpleValueType": true,
+            "defaultValue": "trackingplan",
+            "enablingConditions": [
+              {
+                "paramName": "signUploads",
+                "paramValue": true,
+                "type": "EQUALS"
+              }
+            ],
+            "help": "ID of the shared secret in the credentials file. Any ID other than trackingplan must also be added to the Uses custom private keys permission of this template."
+          },
+          {
+            "type": "SIMPLE_TABLE",
+            "name": "authHeaders",
+            "displayName": "Custom Auth Headers",
+            "simpleTableColumns": [
+              {
+                "defaultValue": "",
+                "displayName": "Header Name",
+                "name": "name",
+                "type": "TEXT"
+              },
+              {
+                "defaultValue": "",
+                "displayName": "Value",
+                "name": "value",
+                "type": "TEXT"
+              }
+            ],
+            "help": "Headers sent with every batch, e.g. to authenticate with a self-hosted endpoint or a proxy.",
+            "newRowButtonText": "New Header"
+          },
+          {
+            "type": "CHECKBOX",
+            "name": "remoteConfig",
+            "checkboxText": "Use remote configuration",
+            "simpleValueType": true,
+            "defaultValue": false,
+            "help": "Fetches the sampling rate, filter rules, batch limits and capture kill switch of this Trackingplan ID from the endpoint (config/\u003ctpId\u003e), so they can be changed without republishing the container. The fetch never delays the event: the configuration is cached and applies from the next event on. Without a cached configuration, the template values are used."
+          },
+          {
+            "type": "TEXT",
+            "name": "remoteConfigTtlSeconds",
+            "displayName": "Remote Configuration Cache (seconds)",
+            "simpleValueType": true,
+            "defaultValue": 300,
+            "valueValidators": [
+              {
+                "type": "POSITIVE_NUMBER"
+              }
+            ],
+            "enablingConditions": [
+              {
+                "paramName": "remoteConfig",
+                "paramValue": true,
+                "type": "EQUALS"
+              }
+            ],
+            "help": "Time the remote configuration is used before it is fetched again"
+          },
+          {
+            "type": "TEXT",
+            "name": "maxBatchAgeSeconds",
+            "displayName": "Max Batch Age",
+            "simpleValueType": true,
+            "defaultValue": 5,
+            "valueValidators": [
+              {
+                "type": "POSITIVE_NUMBER"
+              }
+            ],
+            "help": "This is the number of seconds to send data to Trackingplan even if the batch has not reached it size limit",
+            "valueUnit": "seconds"
+          },
+          {
+            "type": "TEXT",
+            "name": "dedupWindowSeconds",
+            "displayName": "Duplicate Detection Window",
+            "simpleValueType": true,
+            "defaultValue": 10,
+            "valueValidators": [
+              {
+                "type": "POSITIVE_NUMBER"
+              }
+            ],
+            "help": "Requests with the same endpoint, method and body seen within this number of seconds are reported only once",
+            "valueUnit": "seconds"
+          },
+          {
+            "type": "TEXT",
+            "name": "maxRetryAttempts",
+            "displayName": "Max Retry Attempts",
+            "simpleValueType": true,
+            "defaultValue": 5,
+            "valueValidators": [
+              {
+                "type": "NON_NEGATIVE_NUMBER"
+              }
+            ],
+            "help": "Number of times a batch that failed to reach Trackingplan is retried, with exponential backoff, before it is dropped. 0 turns retries off."
+          },
+          {
+            "type": "TEXT",
+            "name": "maxQueueKilobytes",
+            "displayName": "Max Queue Size (KB)",
+            "simpleValueType": true,
+            "defaultValue": 1024,
+            "valueValidators": [
+              {
+                "type": "POSITIVE_NUMBER"
+              }
+            ],
+            "help": "Cap on the size of the tracks waiting to be sent, across all destinations, and of the failed batches waiting for a retry. New tracks are dropped and counted as queue_full while the storage is above it, and the oldest failed batches are dead-lettered."
           }
         ]
       }
@@ -196,12 +1107,39 @@ ___SANDBOXED_JS_FOR_SERVER___
  *
  * How it works:
  * ------------
- * 1. Intercepts tracking events from GTM and external providers via message listeners
+ * 1. Intercepts tracking events from GTM and external providers via message listeners,
+ *    identifying the vendor from the intercepted URL and decoding its payload
  * 2. Creates standardized "raw track" objects with provider-specific information
- * 3. Applies sampling based on configuration (if enabled)
- * 4. Batches events for efficient transmission
- * 5. Sends batches to Trackingplan's API when size threshold or time threshold is reached
- * 6. Detects duplicates in GTM events and skips them
+ * 3. Reads the consent state of each track and applies the consent policy, then
+ *    redacts PII from the captured payloads (if enabled)
+ * 4. Applies filter rules and sampling based on configuration (if enabled)
+ * 5. Batches events for efficient transmission
+ * 6. Sends batches to Trackingplan's API when size threshold or time threshold is reached
+ * 7. Detects duplicate requests by content within a time window and skips them
+ * 8. Keeps failed batches in a retry store and resends them with exponential backoff
+ * 9. Counts captured, skipped, duplicate, invalid, sent and failed tracks and reports
+ *    the counters in every batch
+ * 10. Resolves the environment of each request (preview and debug traffic is TESTING in
+ *    "auto" mode) and never mixes environments in one batch
+ * 11. Routes each track to a Trackingplan ID and endpoint by hostname, event data or
+ *    provider, keeping a separate queue per destination
+ * 12. Stores every queued track under its own key and claims whole queues on send, so
+ *    concurrent requests never lose or resend a track
+ * 13. Truncates oversized payload and event data values and splits batches that would
+ *    go over the maximum batch size
+ * 14. Checks tracks against local validation rules, attaching their violations and
+ *    optionally sending only the failing tracks
+ * 15. Applies the cached remote configuration of the Trackingplan ID, including its kill
+ *    switch, and refreshes it in the background
+ * 16. Stamps the tracks of each event with a correlation id, and summarizes the
+ *    providers each event reached in every batch
+ * 17. Reports BigQuery inserts, Firestore writes and browser pixels wrapped by the
+ *    snippet under their own providers
+ * 18. Signs uploads with an HMAC-SHA256 signature and refuses to send to non-https endpoints
+ * 19. In schema fingerprint mode, sends only tracks with a new or expired event shape in
+ *    full, and periodic counts per shape for the others
+ * 20. Requests carrying the debug trigger and token bypass sampling and filters, are logged
+ *    verbosely and their tracks are sent right away, tagged as debug
  *
  * Configuration Options:
  * ---------------------
@@ -209,12 +1147,62 @@ ___SANDBOXED_JS_FOR_SERVER___
  * - maxBatchSize: Maximum number of events to include in a single batch (default: 20)
  * - maxBatchAgeSeconds: Maximum time to wait before sending a batch (default: 5 seconds)
  * - samplingRate: Event sampling rate (1 = all events, 10 = one out of 10 of events, etc.)
+ * - samplingMode: What is sampled: "random" events, or whole "session", "client_id" or
+ *   "event_data_path" identifiers (default: "random")
+ * - samplingKeyPath: Event data path of the identifier when samplingMode is "event_data_path"
+ * - filterRules: Rules that include, exclude or sample at a custom rate the matching tracks
  * - environment: Environment identifier (default: "PRODUCTION").
+ * - environmentMode: "static" always uses environment; "auto" reports preview and debug
+ *   traffic as TESTING and applies environmentRules before falling back to environment
+ * - environmentRules: Hostname or header rules that pick the environment in "auto" mode
  * - endpoint: Trackingplan API endpoint (default: https://tracks.trackingplan.com/v1/)
- * - tags: Custom key-value pairs to send with all events
- * - extraLog: Enable detailed logging for debugging
+ * - routes: Rules that send the matching tracks to another tpId and endpoint
+ * - signUploads: Sign every batch with HMAC-SHA256 (default: false)
+ * - signingKeyId: Key ID of the signing secret in the server container credentials file
+ *   (default: "trackingplan")
+ * - authHeaders: Custom headers sent with every batch, e.g. for self-hosted endpoints or proxies
+ * - tags: Custom key-value pairs to send with all events. Values are static, or resolved
+ *   per track from an event data path, request header, query parameter or cookie
+ * - extraLog: Enable detailed logging for debugging (default: false)
  * - useSessions: Enable session tracking (default: false)
+ * - sessionTimeoutMinutes: Minutes of inactivity after which a session expires (default: 30)
+ * - sessionCookieName, sessionCookieDomain, sessionCookieSameSite: Session cookie attributes
+ *   (default: "_TP_SID", "auto", "Lax")
  * - captureGTM: Enable GTM event capture (default: false)
+ * - monitorTags: Report the outcome of every tag fired for the event (default: false)
+ * - maxRetryAttempts: Times a failed batch is retried before being dropped, 0 to never
+ *   retry (default: 5)
+ * - maxBatchKilobytes: Maximum size of a batch, bigger batches are split (default: 512)
+ * - maxFieldKilobytes: Payload and event data values bigger than this are truncated
+ *   (default: 16)
+ * - requestHeaders: Comma separated request headers reported in the track request metadata
+ *   (default: "accept-language,content-type,origin,referer")
+ * - collectTruncatedIp: Report the client IP with its last octet zeroed (default: false)
+ * - collectGeo: Report the country, region and city of the platform geo headers (default: false)
+ * - minimalContext: Drop event data values already present in the request (default: false)
+ * - maxQueueKilobytes: Cap on the size of the queued tracks and the retry store, new tracks
+ *   are dropped and the oldest failed batches dead-lettered above it
+ *   (default: 1024)
+ * - dedupWindowSeconds: Time the same request is considered a duplicate (default: 10 seconds)
+ * - redactPII: Mask emails, phones, IPs and card numbers in captured data (default: false)
+ * - redactionRules: Key paths to drop, mask or hash in captured data
+ * - schemaFingerprintMode: Only send tracks whose event shape is new or expired, and counts
+ *   per shape for the others (default: false)
+ * - schemaTtlMinutes: Time after which a known shape is sent in full again (default: 60)
+ * - debugTriggerSource: "none", "header", "cookie" or "query" (default: "none")
+ * - debugTriggerName: Name of the debug header, cookie or query parameter
+ *   (default: "x-tp-debug" for headers, "tp_debug" otherwise)
+ * - debugToken: Secret value the debug trigger must hold
+ * - validationRules: Required properties, types, allowed values or patterns per event,
+ *   checked against the event data or a provider's decoded body
+ * - validationMode: "annotate" sends every track with its violations, "violations_only"
+ *   only the failing tracks (default: "annotate")
+ * - remoteConfig: Fetch the sampling rate, filter rules, batch limits and kill switch from
+ *   Trackingplan (default: false)
+ * - remoteConfigTtlSeconds: Time the remote configuration is cached (default: 300)
+ * - logViolations: Log the violations to the console in preview and for debug requests (default: true)
+ * - consentDeniedPolicy, consentPartialPolicy, consentUnknownPolicy: What to do with tracks
+ *   whose consent is denied, partially denied or unknown: "capture", "redact" or "skip"
  *
  * @version 2
  * @see https://docs.trackingplan.com/
@@ -223,12 +1211,17 @@ ___SANDBOXED_JS_FOR_SERVER___
 const VERSION = "2";
 
 const addMessageListener = require('addMessageListener');
+const sendMessage = require('sendMessage');
+const addEventCallback = require('addEventCallback');
 const logToConsole = require('logToConsole');
 const getAllEventData = require('getAllEventData');
+const getEventData = require('getEventData');
 const getRequestHeader = require('getRequestHeader');
 const getRequestBody = require('getRequestBody');
 const getRequestPath = require('getRequestPath');
 const getRequestQueryString = require('getRequestQueryString');
+const getRequestMethod = require('getRequestMethod');
+const getRemoteAddress = require('getRemoteAddress');
 const sendHttpRequest = require('sendHttpRequest');
 const JSON = require('JSON');
 const templateDataStorage = require('templateDataStorage');
@@ -239,7 +1232,58 @@ const getContainerVersion = require('getContainerVersion');
 const Math = require('Math');
 const getCookieValues = require('getCookieValues');
 const setCookie = require('setCookie');
+const sha256Sync = require('sha256Sync');
+const createRegex = require('createRegex');
+const testRegex = require('testRegex');
+const parseUrl = require('parseUrl');
+const getType = require('getType');
+const makeString = require('makeString');
+const Object = require('Object');
+const decodeUriComponent = require('decodeUriComponent');
+const encodeUriComponent = require('encodeUriComponent');
+const queryPermission = require('queryPermission');
+const hmacSha256 = require('hmacSha256');
+
+
+/**
+ * Parses the rows of a filter rules table, from the template or the remote configuration
+ *
+ * @param {Array} rows The table rows { matchOn, path, pattern, action, samplingRate }
+ * @return {Array} The filter rules, in their original order (first match wins)
+ */
+const parseFilterRules = (rows) => {
+    const rules = [];
+    if (!rows || !rows.length) {
+        return rules;
+    }
+
+    for (let i = 0; i < rows.length; i++) {
+        const filterRule = rows[i];
+        // Only add rules with a pattern to match
+        if (filterRule && filterRule.pattern && makeString(filterRule.pattern).trim() !== '') {
+            rules.push({
+                index: i + 1,
+                match_on: filterRule.matchOn || 'event_name',
+                path: filterRule.path,
+                pattern: makeString(filterRule.pattern).trim(),
+                action: filterRule.action || 'include',
+                sampling_rate: makeInteger(filterRule.samplingRate) || 1
+            });
+        }
+    }
+    return rules;
+};
 
+/**
+ * Checks that an endpoint uses https, so batches and their signature headers are
+ * never sent in clear text
+ *
+ * @param {string} endpoint The endpoint
+ * @return {boolean} True if the endpoint is an https URL
+ */
+const isSecureEndpoint = (endpoint) => {
+    return typeof endpoint === 'string' && endpoint.toLowerCase().indexOf('https://') === 0;
+};
 
 /**
  * Parses, validates, and returns all options from the data object.
@@ -251,53 +1295,240 @@ const getOptions = () => {
         MAX_BATCH_AGE_MS: (makeInteger(data.maxBatchAgeSeconds) || 5) * 1000,
         TP_ID: data.tpId,
         SAMPLING_RATE: makeInteger(data.samplingRate) || 1,
+        SAMPLING_MODE: data.samplingMode || 'random',
+        SAMPLING_KEY_PATH: data.samplingKeyPath,
         ENVIRONMENT: data.environment || "PRODUCTION",
+        ENVIRONMENT_MODE: data.environmentMode || 'static',
+        ENVIRONMENT_RULES: [],
         ENDPOINT: data.endpoint || 'https://tracks.trackingplan.com/v1/',
         CUSTOM_TAGS: {},
+        DYNAMIC_TAGS: [],
         EXTRA_LOG: !!data.extraLog,
         VERSION: VERSION,
         // Add useSessions parameter with default value of false
         USE_SESSIONS: !!data.useSessions,
+        SESSION_TIMEOUT_MINS: makeInteger(data.sessionTimeoutMinutes) || 30,
+        SESSION_COOKIE_NAME: data.sessionCookieName || '_TP_SID',
+        SESSION_COOKIE_DOMAIN: data.sessionCookieDomain || 'auto',
+        SESSION_COOKIE_SAMESITE: data.sessionCookieSameSite || 'Lax',
         // Add captureGTM parameter with default value of false
         CAPTURE_GTM: !!data.captureGTM,
+        // Add monitorTags parameter with default value of false
+        MONITOR_TAGS: !!data.monitorTags,
+        // 0 turns retries off, so only a missing or invalid value falls back to the default
+        MAX_RETRY_ATTEMPTS: makeInteger(data.maxRetryAttempts) >= 0 ? makeInteger(data.maxRetryAttempts) : 5,
+        // Consent policy per consent outcome: "capture", "redact" or "skip"
+        CONSENT_POLICIES: {
+            granted: 'capture',
+            partial: data.consentPartialPolicy || 'capture',
+            denied: data.consentDeniedPolicy || 'capture',
+            unknown: data.consentUnknownPolicy || 'capture'
+        },
+        DEDUP_WINDOW_MS: (makeInteger(data.dedupWindowSeconds) || 10) * 1000,
+        MAX_QUEUE_BYTES: (makeInteger(data.maxQueueKilobytes) || 1024) * 1024,
+        MAX_BATCH_BYTES: (makeInteger(data.maxBatchKilobytes) || 512) * 1024,
+        MAX_FIELD_BYTES: (makeInteger(data.maxFieldKilobytes) || 16) * 1024,
+        MINIMAL_CONTEXT: !!data.minimalContext,
+        REQUEST_HEADERS: [],
+        COLLECT_TRUNCATED_IP: !!data.collectTruncatedIp,
+        COLLECT_GEO: !!data.collectGeo,
+        REDACT_PII: !!data.redactPII,
+        REDACTION_RULES: [],
+        FILTER_RULES: [],
+        ROUTES: [],
+        VALIDATION_RULES: [],
+        // "annotate" sends every track with its violations, "violations_only" only the failing tracks
+        VALIDATION_MODE: data.validationMode || 'annotate',
+        LOG_VIOLATIONS: data.logViolations !== false,
+        // Capture kill switch, only turned off by the remote configuration
+        ENABLED: true,
+        REMOTE_CONFIG: !!data.remoteConfig,
+        REMOTE_CONFIG_TTL_MS: (makeInteger(data.remoteConfigTtlSeconds) || 300) * 1000,
+        // Key ID, in the server container credentials file, of the secret that signs uploads
+        SIGNING_KEY_ID: data.signUploads ? (data.signingKeyId || 'trackingplan') : null,
+        AUTH_HEADERS: {},
+        SCHEMA_MODE: !!data.schemaFingerprintMode,
+        SCHEMA_TTL_MS: (makeInteger(data.schemaTtlMinutes) || 60) * 60000,
+        // Request header, cookie or query parameter that turns on the debug override, or null
+        DEBUG_TRIGGER: null,
     };
 
-    // Process custom tags from data.TAGS
+    // Process custom tags from data.TAGS. Static tags go to every batch, the others
+    // are resolved for each track from the event data, a header, a query parameter or a cookie
     if (data.tags && data.tags.length) {
         for (var i = 0; i < data.tags.length; i++) {
             var tagPair = data.tags[i];
             // Only add tags with non-empty keys
             if (tagPair.key && tagPair.key.trim() !== '') {
-                options.CUSTOM_TAGS[tagPair.key] = tagPair.value;
+                if (!tagPair.source || tagPair.source === 'static') {
+                    options.CUSTOM_TAGS[tagPair.key] = tagPair.value;
+                } else {
+                    options.DYNAMIC_TAGS.push({
+                        key: tagPair.key,
+                        source: tagPair.source,
+                        value: tagPair.value,
+                        default_value: tagPair.defaultValue
+                    });
+                }
             }
         }
     }
 
-    // Construct webhook URL with proper trailing slash handling
-    options.WEBHOOK_URL = options.ENDPOINT +
-        (options.ENDPOINT.charAt(options.ENDPOINT.length - 1) === '/' ? '' : '/') +
-        options.TP_ID + '?ssgtm=true';
+    // Process redaction rules from data.redactionRules
+    if (data.redactionRules && data.redactionRules.length) {
+        for (var j = 0; j < data.redactionRules.length; j++) {
+            var rule = data.redactionRules[j];
+            // Only add rules with non-empty paths
+            if (rule.path && rule.path.trim() !== '') {
+                options.REDACTION_RULES.push({
+                    path: rule.path.trim().toLowerCase().split('.'),
+                    action: rule.action || 'drop'
+                });
+            }
+        }
+    }
 
-    return options;
-};
+    // Process filter rules from data.filterRules, keeping their order (first match wins)
+    options.FILTER_RULES = parseFilterRules(data.filterRules);
 
-// Parse all configuration options once
-const OPTIONS = getOptions();
+    // Process environment rules from data.environmentRules, keeping their order (first match wins)
+    if (data.environmentRules && data.environmentRules.length) {
+        for (var m = 0; m < data.environmentRules.length; m++) {
+            var environmentRule = data.environmentRules[m];
+            // Only add rules with a pattern and an environment
+            if (environmentRule.pattern && environmentRule.environment) {
+                options.ENVIRONMENT_RULES.push({
+                    match_on: environmentRule.matchOn || 'hostname',
+                    header: environmentRule.header,
+                    pattern: environmentRule.pattern,
+                    environment: environmentRule.environment
+                });
+            }
+        }
+    }
 
-/**
- * Generates a UUID v4 (random) compliant string using sGTM's generateRandom
- * This is a pure implementation that avoids using browser APIs or external libraries
- * @return {string} A UUID v4 string
- */
-const generateUUID = () => {
-    const hex = [];
-    for (let i = 0; i < 36; i++) {
-        if (i === 8 || i === 13 || i === 18 || i === 23) {
-            hex[i] = '-';
-        } else if (i === 14) {
-            // Version 4 UUID has '4' at this position
-            hex[i] = '4';
-        } else if (i === 19) {
+    // Process validation rules from data.validationRules
+    if (data.validationRules && data.validationRules.length) {
+        for (var q = 0; q < data.validationRules.length; q++) {
+            var validationRule = data.validationRules[q];
+            // Only add rules with an event and a property to check
+            if (validationRule.eventName && validationRule.property) {
+                options.VALIDATION_RULES.push({
+                    index: q + 1,
+                    event_pattern: validationRule.eventName.trim(),
+                    source: validationRule.source || 'event_data',
+                    property: validationRule.property.trim(),
+                    check: validationRule.check || 'required',
+                    value: validationRule.value
+                });
+            }
+        }
+    }
+
+    // Process the custom auth headers from data.authHeaders
+    if (data.authHeaders && data.authHeaders.length) {
+        for (var r = 0; r < data.authHeaders.length; r++) {
+            var authHeader = data.authHeaders[r];
+            // Only add headers with non-empty names
+            if (authHeader.name && authHeader.name.trim() !== '') {
+                options.AUTH_HEADERS[authHeader.name.trim()] = authHeader.value;
+            }
+        }
+    }
+
+    // Process the allow-listed request headers, a comma separated list
+    var requestHeaders = (data.requestHeaders === undefined ?
+        'accept-language,content-type,origin,referer' : makeString(data.requestHeaders)).split(',');
+    for (var p = 0; p < requestHeaders.length; p++) {
+        var headerName = requestHeaders[p].trim().toLowerCase();
+        if (headerName) {
+            options.REQUEST_HEADERS.push(headerName);
+        }
+    }
+
+    // Process routes from data.routes, keeping their order (first match wins)
+    if (data.routes && data.routes.length) {
+        for (var n = 0; n < data.routes.length; n++) {
+            var route = data.routes[n];
+            // Only add routes with a pattern and a destination tpId. Routes to a non-https
+            // endpoint are kept but rejected, so their tracks are dropped rather than sent
+            // to another destination.
+            if (route.pattern && route.pattern.trim() !== '' && route.tpId) {
+                options.ROUTES.push({
+                    index: n + 1,
+                    match_on: route.matchOn || 'hostname',
+                    path: route.path,
+                    pattern: route.pattern.trim(),
+                    tp_id: route.tpId,
+                    endpoint: route.endpoint || options.ENDPOINT,
+                    rejected: !isSecureEndpoint(route.endpoint || options.ENDPOINT)
+                });
+            }
+        }
+    }
+
+    // The debug override needs both a trigger and its token
+    if (data.debugTriggerSource && data.debugTriggerSource !== 'none' && data.debugToken) {
+        options.DEBUG_TRIGGER = {
+            source: data.debugTriggerSource,
+            name: data.debugTriggerName || (data.debugTriggerSource === 'header' ? 'x-tp-debug' : 'tp_debug'),
+            token: makeString(data.debugToken)
+        };
+    }
+
+    return options;
+};
+
+
+// Parse all configuration options once
+const OPTIONS = getOptions();
+
+/**
+ * Settings that pick where a tag sends its tracks. Storage keys are namespaced by a hash
+ * of them, so two Trackingplan tags sending to different destinations never share their
+ * queue, retry store, counters or seen requests. Every other setting is left out, so
+ * tuning it keeps what is already stored.
+ */
+const STORAGE_NAMESPACE_SETTINGS = ['tpId', 'endpoint', 'routes', 'environment', 'environmentMode',
+    'environmentRules'];
+
+/**
+ * Returns the storage namespace of the tag configuration
+ * @return {string} The namespace
+ */
+const getStorageNamespace = () => {
+    const settings = [];
+    for (let i = 0; i < STORAGE_NAMESPACE_SETTINGS.length; i++) {
+        const value = data[STORAGE_NAMESPACE_SETTINGS[i]];
+        settings.push(value === undefined ? '' : JSON.stringify(value));
+    }
+    return sha256Sync(settings.join('|'), { outputEncoding: 'hex' }).substring(0, 12);
+};
+
+const STORAGE_NAMESPACE = getStorageNamespace();
+
+/**
+ * Returns the namespaced storage key of a name
+ *
+ * @param {string} name The name of the stored item
+ * @return {string} The storage key
+ */
+const storageKey = (name) => 'tp_' + STORAGE_NAMESPACE + ':' + name;
+
+/**
+ * Generates a UUID v4 (random) compliant string using sGTM's generateRandom
+ * This is a pure implementation that avoids using browser APIs or external libraries
+ * @return {string} A UUID v4 string
+ */
+const generateUUID = () => {
+    const hex = [];
+    for (let i = 0; i < 36; i++) {
+        if (i === 8 || i === 13 || i === 18 || i === 23) {
+            hex[i] = '-';
+        } else if (i === 14) {
+            // Version 4 UUID has '4' at this position
+            hex[i] = '4';
+        } else if (i === 19) {
             // UUID v4 needs (8, 9, a, or b) at this position
             const randVal = generateRandom(8, 11);
             hex[i] = (randVal === 10 ? 'a' : randVal === 11 ? 'b' : randVal).toString(16);
@@ -311,36 +1542,65 @@ const generateUUID = () => {
 
 
 /**
- * Updates and returns the session ID, creating a new one if needed
- * Session expires after 30 minutes of inactivity
- * @return {string} The current session ID
+ * Session of the incoming request, resolved once per event by getSession
  */
-const updateAndGetSessionId = () => {
-    const COOKIE_NAME = '_TP_SID';
-    const SESSION_TIMEOUT_MINS = 30;
-    
-    // Try to get existing session ID
-    const existingSessionId = getCookieValues(COOKIE_NAME)[0];
-    
-    if (existingSessionId) {
-        // Extend the session by setting the cookie again
-        setCookie(COOKIE_NAME, existingSessionId, {
-            'max-age': SESSION_TIMEOUT_MINS * 60,
-            'secure': true,
-            'httpOnly': true
-        });
-        return existingSessionId;
+let currentSession = null;
+
+/**
+ * Returns the session of the incoming request, creating a new one if needed, and counts
+ * the request in it. The cookie holds "<session id>.<sequence>" and is renewed on every
+ * request, so the session expires after SESSION_TIMEOUT_MINS of inactivity.
+ * @return {Object} The session id, the sequence number of this request in the session
+ * and whether the session starts with this request
+ */
+const getSession = () => {
+    if (currentSession) {
+        return currentSession;
     }
-    
-    // Create new session ID if none exists
-    const newSessionId = generateUUID();
-    setCookie(COOKIE_NAME, newSessionId, {
-        'max-age': SESSION_TIMEOUT_MINS * 60,
+
+    // Try to get existing session ID and sequence. Cookies set by older versions only hold the ID
+    const existingValue = getCookieValues(OPTIONS.SESSION_COOKIE_NAME)[0];
+    const separator = existingValue ? existingValue.indexOf('.') : -1;
+    const existingSessionId = separator === -1 ? existingValue : existingValue.substring(0, separator);
+    const existingSequence = separator === -1 ? 0 : makeInteger(existingValue.substring(separator + 1)) || 0;
+
+    currentSession = {
+        "id": existingSessionId || generateUUID(),
+        "sequence": existingSessionId ? existingSequence + 1 : 1,
+        "is_new": !existingSessionId
+    };
+
+    // Create or extend the session by setting the cookie again
+    const cookieOptions = {
+        'domain': OPTIONS.SESSION_COOKIE_DOMAIN,
+        'path': '/',
+        'max-age': OPTIONS.SESSION_TIMEOUT_MINS * 60,
         'secure': true,
-        'httpOnly': true
-    });
-    
-    return newSessionId;
+        'httpOnly': true,
+        'samesite': OPTIONS.SESSION_COOKIE_SAMESITE
+    };
+    setCookie(OPTIONS.SESSION_COOKIE_NAME, currentSession.id + '.' + currentSession.sequence, cookieOptions);
+
+    return currentSession;
+};
+
+/**
+ * Correlation id of the current event, resolved once per event by getCorrelationId
+ */
+let currentCorrelationId = null;
+
+/**
+ * Returns the id that links every raw track of the current event: the incoming request
+ * and the vendor calls its tags made. The event id set by the client is used when
+ * available, otherwise a random id is generated.
+ * @return {string} The correlation id
+ */
+const getCorrelationId = () => {
+    if (!currentCorrelationId) {
+        const eventId = getEventData('x-sst-system_properties.event_id') || getEventData('event_id');
+        currentCorrelationId = eventId ? makeString(eventId) : generateUUID();
+    }
+    return currentCorrelationId;
 };
 
 
@@ -375,417 +1635,3109 @@ const log = function (alwaysLog, label, arg1, arg2, arg3) {
     }
 };
 
-// Log configuration - Essential information always logged
-log(false, "TRACKINGPLAN OPTIONS", OPTIONS);
+/**
+ * Returns a copy of the options and of the template data with the debug token and the
+ * auth header values masked, so the configuration can be logged
+ *
+ * @return {Object} The { options, data } copies
+ */
+const getLoggableConfig = () => {
+    const options = JSON.parse(JSON.stringify(OPTIONS));
+    if (options.DEBUG_TRIGGER) {
+        options.DEBUG_TRIGGER.token = '[REDACTED]';
+    }
+    const authHeaderNames = Object.keys(options.AUTH_HEADERS);
+    for (let i = 0; i < authHeaderNames.length; i++) {
+        options.AUTH_HEADERS[authHeaderNames[i]] = '[REDACTED]';
+    }
+
+    const templateData = JSON.parse(JSON.stringify(data));
+    if (templateData.debugToken) {
+        templateData.debugToken = '[REDACTED]';
+    }
+    const authHeaders = templateData.authHeaders || [];
+    for (let i = 0; i < authHeaders.length; i++) {
+        authHeaders[i].value = '[REDACTED]';
+    }
+
+    return { options: options, data: templateData };
+};
 
-// Detailed logging only when EXTRA_LOG is enabled
-log(false, "CONFIG DATA", data);
+// Log configuration, only when EXTRA_LOG is enabled
+if (OPTIONS.EXTRA_LOG) {
+    const loggableConfig = getLoggableConfig();
+    log(false, "TRACKINGPLAN OPTIONS", loggableConfig.options);
+    log(false, "CONFIG DATA", loggableConfig.data);
+}
 
 /**
- * Constants for hash tracking
+ * Self-telemetry: running counters of what happened to the tracks since the last
+ * successful send.
+ * - captured: tracks added to the queue
+ * - sampled_out, filtered_out, consent_skipped: tracks skipped by sampling, filter rules or consent
+ * - valid_skipped: tracks without violations skipped by the violations-only validation mode
+ * - schema_counted: tracks only counted by the schema fingerprint mode, as their shape is known
+ * - duplicate: requests skipped as duplicates
+ * - invalid: tp_request messages without a URL
+ * - route_rejected: tracks dropped because their route has a non-https endpoint
+ * - create_failed: tracks that could not be created
+ * - queue_full: tracks dropped because the storage cap was reached
+ * - sent, failed: tracks in batches accepted by or failed to reach Trackingplan (per attempt)
+ * - dead_lettered: tracks in batches dropped after their retries
  */
-const HASH_STORAGE_KEY = 'seenHashes';
-const MAX_HASH_SIZE = 100;
+const TELEMETRY_STORAGE_KEY = storageKey('telemetry');
+const TELEMETRY_COUNTERS = ['captured', 'sampled_out', 'filtered_out', 'consent_skipped', 'valid_skipped',
+    'schema_counted', 'duplicate', 'invalid', 'route_rejected', 'create_failed', 'queue_full', 'sent', 'failed',
+    'dead_lettered'];
 
 /**
- * Check if a hash has been seen and add it to the set
- * Returns true if the hash was already seen
- * 
- * @param {string} hash The hash to check and add
- * @return {boolean} True if the hash already existed
+ * Returns the current telemetry counters
+ * @return {Object} Every counter in TELEMETRY_COUNTERS, 0 if it was never incremented
  */
-const checkAndAddHash = (hash) => {
-    if (!hash) return false;
-    
-    // Get the current set of seen hashes
-    let seenHashes = templateDataStorage.getItemCopy(HASH_STORAGE_KEY) || [];
-    
-    // Check if the hash exists in the set using indexOf for simplicity
-    const exists = seenHashes.indexOf(hash) !== -1;
-
-    // If it doesn't exist, add it and maintain the set size
-    if (!exists) {
-        // Add the new hash
-        seenHashes.push(hash);
-        
-        // Trim the array if it's too large (keep only the most recent MAX_HASH_SIZE hashes)
-        if (seenHashes.length > MAX_HASH_SIZE) {
-            // Remove oldest hashes (those at the beginning of the array)
-            const toRemove = Math.max(seenHashes.length - MAX_HASH_SIZE, -1 * Math.floor(MAX_HASH_SIZE/2));
-            seenHashes = seenHashes.slice(toRemove);
-            
-            log(false, "HASH CLEANUP - Removed oldest hashes to maintain size limit", {
-                removed: toRemove,
-                new_size: seenHashes.length
-            });
-        }
-        
-        // Save the updated set
-        templateDataStorage.setItemCopy(HASH_STORAGE_KEY, seenHashes);
+const getTelemetryCounters = () => {
+    const stored = templateDataStorage.getItemCopy(TELEMETRY_STORAGE_KEY) || {};
+    const counters = {};
+    for (let i = 0; i < TELEMETRY_COUNTERS.length; i++) {
+        counters[TELEMETRY_COUNTERS[i]] = stored[TELEMETRY_COUNTERS[i]] || 0;
     }
-    
-    return exists;
+    return counters;
 };
 
 /**
- * Creates a raw track object from an intercepted request or original request.
+ * Adds to a telemetry counter
  *
- * @param {string} provider The provider name (either "ssgtm_event" or "ssgtm_message")
- * @param {Object} request The request object containing url, body, and optional method
- * @return {Object} A formatted raw track object
+ * @param {string} name The counter name, one of TELEMETRY_COUNTERS
+ * @param {number} amount The amount to add (default: 1)
  */
-const createRawTrack = (provider, request) => {
-    // Get event data to extract the href/page_location
-    const eventData = getAllEventData();
+const incrementCounter = (name, amount) => {
+    const counters = getTelemetryCounters();
+    counters[name] += amount === undefined ? 1 : amount;
+    templateDataStorage.setItemCopy(TELEMETRY_STORAGE_KEY, counters);
+};
 
-    // Try to get the href from different sources with fallbacks
-    const href = (eventData && eventData.page_location) ||
-        getRequestHeader('referer') ||
-        null;
+/**
+ * Resets the counters after a successful send by subtracting the values reported in
+ * the batch, so that anything counted while the batch was in flight is kept.
+ *
+ * @param {Object} reported The counters reported in the batch
+ */
+const resetCounters = (reported) => {
+    const counters = getTelemetryCounters();
+    for (let i = 0; i < TELEMETRY_COUNTERS.length; i++) {
+        const name = TELEMETRY_COUNTERS[i];
+        counters[name] = Math.max(counters[name] - (reported[name] || 0), 0);
+    }
+    templateDataStorage.setItemCopy(TELEMETRY_STORAGE_KEY, counters);
+};
 
-    const currentTime = getTimestampMillis();
+/**
+ * Constants for duplicate detection
+ */
+const HASH_STORAGE_KEY = storageKey('seenHashes');
+const MAX_HASH_SIZE = 500;
 
-    return {
-        // Use fixed provider names (ssgtm_event or ssgtm_message)
-        "provider": provider,
-        "request": {
-            // The original endpoint URL
-            "endpoint": request.url,
-            // The request method
-            "method": request.method || "POST",
-            // The post payload, in its original form
-            "post_payload": request.body || null,
-            "protocol": "ssgtm",
-            // The url the event has been triggered at (if available)
-            "href": href,
-        },
-        // Custom tags from configuration
-        "tags": OPTIONS.CUSTOM_TAGS,
-        // Top-level timestamp
-        "ts": currentTime,
-        // The event data
-        "context": {
-            "ssgtm_event_data": eventData
+/**
+ * Query parameters that only bust caches and never make two requests different
+ */
+const CACHE_BUSTER_PARAMS = ['_', 'z', '_z', 'cb', 'ord', 'rnd', 'random'];
+
+/**
+ * Normalizes an endpoint so that equivalent URLs share a fingerprint:
+ * lower-cased host, sorted query parameters and no cache busters.
+ *
+ * @param {string} url The request URL or path
+ * @return {string} The normalized endpoint
+ */
+const normalizeEndpoint = (url) => {
+    const endpoint = url || '';
+    const queryStart = endpoint.indexOf('?');
+    const parsedUrl = parseUrl(endpoint);
+    const base = parsedUrl ?
+        parsedUrl.protocol + '//' + parsedUrl.hostname.toLowerCase() + parsedUrl.pathname :
+        (queryStart === -1 ? endpoint : endpoint.substring(0, queryStart));
+
+    if (queryStart === -1) {
+        return base;
+    }
+
+    const params = [];
+    const pairs = endpoint.substring(queryStart + 1).split('#')[0].split('&');
+    for (let i = 0; i < pairs.length; i++) {
+        if (pairs[i] && CACHE_BUSTER_PARAMS.indexOf(pairs[i].split('=')[0]) === -1) {
+            params.push(pairs[i]);
         }
-    };
+    }
+    params.sort();
+    return base + '?' + params.join('&');
 };
 
 /**
- * Processes the GTM event and adds it to the queue
+ * Computes a fingerprint of a request from its normalized endpoint, method and body
+ *
+ * @param {Object} request The request object containing url, body, and method
+ * @return {string} The SHA-256 hex fingerprint
  */
-const processGTMEvent = () => {
-    // Capture the original request when the tag loads
-    const originalRequestUrl = getRequestPath() || '';
-    const queryString = getRequestQueryString();
-
-    // Append the query string to the path if it exists
-    const fullRequestUrl = queryString ? originalRequestUrl + '?' + queryString : originalRequestUrl;
+const getRequestFingerprint = (request) => {
+    const body = request.body === undefined || request.body === null ? '' :
+        (typeof request.body === 'string' ? request.body : JSON.stringify(request.body));
+    return sha256Sync(normalizeEndpoint(request.url) + '\n' + (request.method || '') + '\n' + body, {
+        outputEncoding: 'hex'
+    });
+};
 
-    // Use ssgtm_event as the provider for GTM events
-    const provider = "ssgtm_event";
+/**
+ * Check if a request has been seen within the dedup window and remember it.
+ * Entries expire by age (DEDUP_WINDOW_MS) and by count (MAX_HASH_SIZE).
+ * Returns true if the request is a duplicate, and counts it.
+ *
+ * @param {Object} request The request object containing url, body, and method
+ * @return {boolean} True if the same request was already seen within the window
+ */
+const isDuplicateRequest = (request) => {
+    const fingerprint = getRequestFingerprint(request);
+    const currentTime = getTimestampMillis();
 
-    // Get event data for duplicate detection
-    const eventData = getAllEventData();
-    
-    // Check for request_start_time_ms to detect duplicates
-    if (eventData && eventData['x-sst-system_properties'] && eventData['x-sst-system_properties'].request_start_time_ms) {
-        const trackHash = eventData['x-sst-system_properties'].request_start_time_ms.toString();
-        
-        // Check if this is a duplicate event
-        if (checkAndAddHash(trackHash)) {
-            log(false, "DUPLICATE GTM EVENT - Skipped processing", {
-                request_start_time_ms: trackHash
-            });
-            return;
+    // Get the seen fingerprints still within the window, oldest first
+    const storedHashes = templateDataStorage.getItemCopy(HASH_STORAGE_KEY) || [];
+    let seenHashes = [];
+    let exists = false;
+    for (let i = 0; i < storedHashes.length; i++) {
+        const entry = storedHashes[i];
+        if (!entry || !entry.t || currentTime - entry.t > OPTIONS.DEDUP_WINDOW_MS) {
+            continue;
         }
+        if (entry.h === fingerprint) {
+            exists = true;
+        }
+        seenHashes.push(entry);
     }
 
-    // Create raw track with the new post_payload
-    const raw_track = createRawTrack(provider, {
-        url: fullRequestUrl,
-        body: getRequestBody(),
-        method: getRequestHeader('method') || "GET"
-    });
+    if (exists) {
+        incrementCounter('duplicate');
+    } else {
+        seenHashes.push({ h: fingerprint, t: currentTime });
+    }
 
-    if (!raw_track) {
-        log(true, "ERROR: Failed to create raw track for GTM event");
-        return;
+    // Trim the array if it's too large (keep only the most recent MAX_HASH_SIZE hashes)
+    if (seenHashes.length > MAX_HASH_SIZE) {
+        seenHashes = seenHashes.slice(seenHashes.length - MAX_HASH_SIZE);
     }
 
-    log(false, "GTM EVENT PROCESSED", {
-        provider: provider,
-        url: fullRequestUrl
-    });
+    if (seenHashes.length !== storedHashes.length || !exists) {
+        log(false, "HASH DEBUG - Seen fingerprints updated", {
+            expired_or_trimmed: storedHashes.length - seenHashes.length + (exists ? 0 : 1),
+            new_size: seenHashes.length
+        });
+        templateDataStorage.setItemCopy(HASH_STORAGE_KEY, seenHashes);
+    }
 
-    // Add to queue
-    addToQueue(raw_track);
+    return exists;
 };
 
 /**
- * Sets up a message listener for intercepted requests
+ * Built-in PII detectors applied to every captured string when redactPII is enabled.
+ * Matches are replaced by "[REDACTED_<NAME>]". The optional validator filters out
+ * false positives that the pattern alone can't tell apart.
  */
-const setupMessageListener = () => {
-    // Listen for messages of type "tp_request"
-    addMessageListener('tp_request', (messageType, message) => {
-        log(false, "message_received", messageType, message);
+const PII_DETECTORS = [
+    {
+        name: 'EMAIL',
+        pattern: '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}'
+    },
+    {
+        name: 'CARD',
+        pattern: '\\b[2-6](?:[ -]?\\d){12,18}\\b',
+        validator: (match) => isLuhnValid(match)
+    },
+    {
+        name: 'IPV6',
+        pattern: '\\b(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}\\b|\\b(?:[0-9A-Fa-f]{1,4}:){1,7}:(?:[0-9A-Fa-f]{1,4}(?::[0-9A-Fa-f]{1,4}){0,6})?'
+    },
+    {
+        name: 'IPV4',
+        pattern: '\\b(?:(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)\\.){3}(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)\\b'
+    },
+    {
+        name: 'PHONE',
+        pattern: '\\+\\d{1,3}[ .-]?(?:\\(?\\d{1,4}\\)?[ .-]?){2,5}\\d{2,4}\\b|\\(?\\b\\d{3}\\)?[ .-]\\d{3}[ .-]\\d{4}\\b'
+    }
+];
 
-        if (!message || !message.url) {
-            log(true, "ERROR: Invalid message received", message);
-            return;
+/**
+ * Checks a card-like number against the Luhn checksum
+ *
+ * @param {string} value The candidate number, possibly with spaces or dashes
+ * @return {boolean} True if the digits pass the Luhn check
+ */
+const isLuhnValid = (value) => {
+    const digits = value.split(' ').join('').split('-').join('');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = makeInteger(digits.charAt(digits.length - 1 - i));
+        if (i % 2 === 1) {
+            digit = digit * 2;
+            if (digit > 9) digit = digit - 9;
         }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
 
-        // Create a request object from the message
-        const request = {
-            url: message.url,
-            body: message.body || null,
-            method: 'POST' // Assuming POST as default for intercepted requests
-        };
+/**
+ * Redaction policies. A policy tells whether the built-in PII detectors run (pii),
+ * the key paths to drop, mask or hash (rules) and the keys to drop at any depth (keys),
+ * unless another action is set for them (keyAction).
+ * CONFIGURED_REDACTION applies the template settings to every track.
+ * IDENTIFIER_REDACTION strips user identifiers when the consent policy asks for it.
+ * SECRET_REDACTION masks credentials, whatever the settings.
+ * DEBUG_TRIGGER_REDACTION drops the debug trigger, so its token never leaves the container.
+ */
+const CONFIGURED_REDACTION = {
+    pii: OPTIONS.REDACT_PII,
+    rules: OPTIONS.REDACTION_RULES,
+    keys: []
+};
+const IDENTIFIER_REDACTION = {
+    pii: true,
+    rules: [],
+    keys: [
+        // Event data and Measurement Protocol identifiers
+        'client_id', 'user_id', 'ip_override', 'user_data', 'x-ga-js_client_id',
+        'cid', 'uid', '_fid', 'uip', 'ecid', 'sid',
+        // Conversions API identifiers
+        'external_id', 'em', 'ph', 'fbp', 'fbc', 'ttp', 'client_ip_address', 'client_user_agent',
+        // Click identifiers
+        'gclid', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'ttclid', 'msclkid',
+        // Request metadata
+        'ip'
+    ]
+};
+const SECRET_REDACTION = {
+    pii: false,
+    rules: [],
+    // Credentials in outgoing headers, URLs and bodies are masked on every track
+    keys: [
+        'authorization', 'proxy-authorization', 'cookie', 'x-api-key',
+        'access_token', 'auth_token', 'token', 'api_key', 'apikey', 'client_secret'
+    ],
+    keyAction: 'mask'
+};
+const DEBUG_TRIGGER_REDACTION = {
+    pii: false,
+    rules: [],
+    keys: OPTIONS.DEBUG_TRIGGER ? [OPTIONS.DEBUG_TRIGGER.name.toLowerCase()] : []
+};
 
-        // Use ssgtm_message as the provider for all intercepted messages
-        const provider = "ssgtm_message";
+/**
+ * Replaces the PII found by the built-in detectors in a string
+ *
+ * @param {string} value The string to scan
+ * @param {Object} policy The redaction policy
+ * @return {string} The string with every detected value masked
+ */
+const redactString = (value, policy) => {
+    if (!policy.pii || !value) {
+        return value;
+    }
 
-        const raw_track = createRawTrack(provider, request);
-        if (!raw_track) {
-            log(true, "ERROR: Failed to create raw track for intercepted request");
-            return;
+    let result = value;
+    for (let i = 0; i < PII_DETECTORS.length; i++) {
+        const detector = PII_DETECTORS[i];
+        const matches = result.match(createRegex(detector.pattern, 'g')) || [];
+        for (let j = 0; j < matches.length; j++) {
+            if (!detector.validator || detector.validator(matches[j])) {
+                result = result.split(matches[j]).join('[REDACTED_' + detector.name + ']');
+            }
         }
+    }
+    return result;
+};
 
-        // Add to queue
-        addToQueue(raw_track);
-    });
+/**
+ * Finds the redaction action a policy sets for a key path.
+ * Rule paths are dot separated and "*" matches any single key or array index.
+ * Policy keys are dropped wherever they appear, or get the policy keyAction.
+ *
+ * @param {Array} path The key path segments of the value
+ * @param {Object} policy The redaction policy
+ * @return {string|null} "drop", "mask" or "hash", or null if no rule matches
+ */
+const findRedactionAction = (path, policy) => {
+    if (policy.keys.length && policy.keys.indexOf(makeString(path[path.length - 1]).toLowerCase()) !== -1) {
+        return policy.keyAction || 'drop';
+    }
+
+    for (let i = 0; i < policy.rules.length; i++) {
+        const rulePath = policy.rules[i].path;
+        if (rulePath.length !== path.length) continue;
+
+        let matches = true;
+        for (let j = 0; j < rulePath.length; j++) {
+            if (rulePath[j] !== '*' && rulePath[j] !== makeString(path[j]).toLowerCase()) {
+                matches = false;
+                break;
+            }
+        }
+        if (matches) return policy.rules[i].action;
+    }
+    return null;
 };
 
 /**
- * Adds a raw track to the queue for batching
+ * Applies a "mask" or "hash" action to a value
  *
- * @param {Object} rawTrack The raw track to add to the queue
+ * @param {string} action The redaction action
+ * @param {*} value The value to transform
+ * @return {string} The masked value or its SHA-256 hex digest
  */
-const addToQueue = (rawTrack) => {
-    // Apply sampling - randomly select 1/SAMPLING_RATE of events
-    if (OPTIONS.SAMPLING_RATE > 1) {
-        const randomValue = generateRandom(1, OPTIONS.SAMPLING_RATE);
+const applyRedactionAction = (action, value) => {
+    if (action === 'hash') {
+        const input = typeof value === 'string' ? value : JSON.stringify(value);
+        return sha256Sync(input || '', { outputEncoding: 'hex' });
+    }
+    return '[REDACTED]';
+};
 
-        if (randomValue > 1) {
-            log(false, "SAMPLING - Track skipped due to sampling (rate: 1/" + OPTIONS.SAMPLING_RATE + ")");
-            return;
+/**
+ * Recursively redacts an event data object, a parsed JSON body or any of their values
+ *
+ * @param {*} value The value to redact
+ * @param {Array} path The key path segments leading to the value
+ * @param {Object} policy The redaction policy
+ * @return {*} A redacted copy of the value
+ */
+const redactObject = (value, path, policy) => {
+    const type = getType(value);
+
+    if (type === 'string') {
+        // URLs like page_location carry their PII url-encoded in the query string
+        return value.indexOf('?') !== -1 ? redactUrl(value, policy) : redactString(value, policy);
+    }
+
+    if (type !== 'object' && type !== 'array') {
+        return value;
+    }
+
+    const keys = type === 'array' ? null : Object.keys(value);
+    const length = type === 'array' ? value.length : keys.length;
+    const result = type === 'array' ? [] : {};
+
+    for (let i = 0; i < length; i++) {
+        const key = type === 'array' ? i : keys[i];
+        const childPath = path.concat([key]);
+        const action = findRedactionAction(childPath, policy);
+
+        if (action === 'drop') {
+            continue;
+        }
+
+        const redacted = action ? applyRedactionAction(action, value[key]) : redactObject(value[key], childPath, policy);
+        if (type === 'array') {
+            result.push(redacted);
+        } else {
+            result[key] = redacted;
         }
     }
-    
-    // Note: Duplicate detection for GTM events is now handled in processGTMEvent
+    return result;
+};
+
+/**
+ * Redacts a query string or a form-encoded body. Rule paths match the parameter names.
+ *
+ * @param {string} queryString The query string, without the leading "?"
+ * @param {Object} policy The redaction policy
+ * @return {string} The redacted query string
+ */
+const redactQueryString = (queryString, policy) => {
+    const pairs = queryString.split('&');
+    const result = [];
+
+    for (let i = 0; i < pairs.length; i++) {
+        const pair = pairs[i];
+        const separator = pair.indexOf('=');
+        const rawKey = separator === -1 ? pair : pair.substring(0, separator);
+        const rawValue = separator === -1 ? '' : pair.substring(separator + 1);
+        const key = decodeUriComponent(rawKey) || rawKey;
+        const value = decodeUriComponent(rawValue.split('+').join(' ')) || rawValue;
+        const action = findRedactionAction([key], policy);
+
+        if (action === 'drop') {
+            continue;
+        }
+
+        if (action) {
+            result.push(rawKey + '=' + encodeUriComponent(applyRedactionAction(action, value)));
+            continue;
+        }
+
+        const redacted = redactString(value, policy);
+        result.push(redacted === value ? pair : rawKey + '=' + encodeUriComponent(redacted));
+    }
+    return result.join('&');
+};
+
+/**
+ * Redacts the query string part of a URL
+ *
+ * @param {string} url The URL or path to redact
+ * @param {Object} policy The redaction policy
+ * @return {string} The redacted URL
+ */
+const redactUrl = (url, policy) => {
+    if (!url || typeof url !== 'string') {
+        return url;
+    }
+
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) {
+        return redactString(url, policy);
+    }
+
+    const hashStart = url.indexOf('#', queryStart);
+    const queryEnd = hashStart === -1 ? url.length : hashStart;
+    return redactString(url.substring(0, queryStart), policy) + '?' +
+        redactQueryString(url.substring(queryStart + 1, queryEnd), policy) +
+        url.substring(queryEnd);
+};
+
+/**
+ * Redacts a request body: JSON bodies are redacted by key path, form-encoded
+ * bodies (one or several newline separated hits) by parameter name, and any
+ * other text only by the built-in detectors.
+ *
+ * @param {*} body The request body
+ * @param {Object} policy The redaction policy
+ * @return {*} The redacted body, in the same form it was received
+ */
+const redactBody = (body, policy) => {
+    if (!body) {
+        return body;
+    }
+
+    if (typeof body !== 'string') {
+        return redactObject(body, [], policy);
+    }
+
+    const trimmed = body.trim();
+    const firstChar = trimmed.charAt(0);
+    if (firstChar === '{' || firstChar === '[') {
+        const parsed = JSON.parse(trimmed);
+        if (parsed !== undefined) {
+            return JSON.stringify(redactObject(parsed, [], policy));
+        }
+    }
+
+    if (body.indexOf('=') !== -1) {
+        const lines = body.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            lines[i] = redactQueryString(lines[i], policy);
+        }
+        return lines.join('\n');
+    }
+
+    return redactString(body, policy);
+};
+
+/**
+ * Redacts the URLs, bodies and event data captured in a raw track
+ *
+ * @param {Object} rawTrack The raw track to redact
+ * @param {Object} policy The redaction policy
+ * @return {Object} The same raw track, redacted
+ */
+const redactRawTrack = (rawTrack, policy) => {
+    if (!policy.pii && !policy.rules.length && !policy.keys.length) {
+        return rawTrack;
+    }
+
+    rawTrack.request.endpoint = redactUrl(rawTrack.request.endpoint, policy);
+    rawTrack.request.href = redactUrl(rawTrack.request.href, policy);
+    rawTrack.request.post_payload = redactBody(rawTrack.request.post_payload, policy);
+    rawTrack.request.parsed_payload = redactObject(rawTrack.request.parsed_payload, [], policy);
+    rawTrack.request.headers = redactObject(rawTrack.request.headers, [], policy);
+    // The client IP in the request metadata is already truncated on purpose, so only
+    // key rules apply to it, never the PII detectors
+    const metadataIp = rawTrack.request_metadata && rawTrack.request_metadata.ip;
+    rawTrack.request_metadata = redactObject(rawTrack.request_metadata, [], policy);
+    if (metadataIp && rawTrack.request_metadata.ip !== undefined && !findRedactionAction(['ip'], policy)) {
+        rawTrack.request_metadata.ip = metadataIp;
+    }
+    if (rawTrack.response) {
+        rawTrack.response.body_excerpt = redactBody(rawTrack.response.body_excerpt, policy);
+    }
+    rawTrack.context.ssgtm_event_data = redactObject(rawTrack.context.ssgtm_event_data, [], policy);
+
+    return rawTrack;
+};
+
+/**
+ * Registry of known vendor endpoints. The first entry whose host and path patterns
+ * match an intercepted URL sets the provider id of the raw track, and its format
+ * tells how to decode the body: "json", "form" or "auto" (JSON, form-encoded or
+ * GA4's newline-batched hits, depending on the body itself).
+ */
+const PROVIDERS = [
+    {
+        id: 'ga4',
+        host: '(^|\\.)(google-analytics\\.com|analytics\\.google\\.com)$',
+        path: '^/(debug/)?(mp|g)/collect',
+        format: 'auto'
+    },
+    {
+        id: 'facebook_capi',
+        host: '^graph\\.facebook\\.com$',
+        path: '/events/?$',
+        format: 'json'
+    },
+    {
+        id: 'tiktok_events_api',
+        host: '^business-api\\.tiktok\\.com$',
+        path: '/event/track/?$',
+        format: 'json'
+    },
+    {
+        id: 'pinterest_capi',
+        host: '^api\\.pinterest\\.com$',
+        path: '^/v5/ad_accounts/[^/]+/events',
+        format: 'json'
+    },
+    {
+        id: 'snapchat_capi',
+        host: '^tr\\.snapchat\\.com$',
+        path: '^/(v2/conversion|v3/[^/]+/events)',
+        format: 'json'
+    },
+    {
+        id: 'google_ads',
+        host: '^(googleads\\.g\\.doubleclick\\.net|www\\.googleadservices\\.com|www\\.google\\.com|googleads\\.googleapis\\.com)$',
+        path: '^/(pagead/(1p-)?(viewthrough)?conversion|v\\d+/customers/)',
+        format: 'auto'
+    }
+];
+
+/**
+ * Finds the registry entry of the vendor an intercepted URL belongs to
+ *
+ * @param {string} url The intercepted request URL
+ * @return {Object|null} The matching PROVIDERS entry, or null for unknown endpoints
+ */
+const matchProvider = (url) => {
+    const parsedUrl = parseUrl(url);
+    if (!parsedUrl) {
+        return null;
+    }
+
+    for (let i = 0; i < PROVIDERS.length; i++) {
+        const provider = PROVIDERS[i];
+        if (testRegex(createRegex(provider.host, 'i'), parsedUrl.hostname) &&
+            testRegex(createRegex(provider.path, 'i'), parsedUrl.pathname)) {
+            return provider;
+        }
+    }
+    return null;
+};
+
+/**
+ * Decodes a query string or a form-encoded body into an object
+ *
+ * @param {string} queryString The query string, without the leading "?"
+ * @return {Object} The decoded parameters
+ */
+const parseQueryString = (queryString) => {
+    const result = {};
+    const pairs = queryString.split('&');
+
+    for (let i = 0; i < pairs.length; i++) {
+        if (!pairs[i]) continue;
+        const separator = pairs[i].indexOf('=');
+        const rawKey = separator === -1 ? pairs[i] : pairs[i].substring(0, separator);
+        const rawValue = separator === -1 ? '' : pairs[i].substring(separator + 1).split('+').join(' ');
+        result[decodeUriComponent(rawKey) || rawKey] = decodeUriComponent(rawValue) || rawValue;
+    }
+    return result;
+};
+
+/**
+ * Decodes an intercepted request into a structured payload. JSON bodies are parsed,
+ * form-encoded bodies become an object, and newline-batched hits (GA4) an array of
+ * objects. Requests without a body are decoded from their query string.
+ *
+ * @param {Object} provider The PROVIDERS entry of the request
+ * @param {string} url The intercepted request URL
+ * @param {*} body The intercepted request body
+ * @return {*} The structured payload, or undefined if it can't be decoded
+ */
+const parsePayload = (provider, url, body) => {
+    if (!body) {
+        const queryStart = url.indexOf('?');
+        return queryStart === -1 ? undefined : parseQueryString(url.substring(queryStart + 1));
+    }
+
+    if (typeof body !== 'string') {
+        return body;
+    }
+
+    const trimmed = body.trim();
+    const firstChar = trimmed.charAt(0);
+    if (provider.format === 'json' || firstChar === '{' || firstChar === '[') {
+        return JSON.parse(trimmed);
+    }
+
+    const lines = trimmed.split('\n');
+    if (lines.length === 1) {
+        return parseQueryString(lines[0]);
+    }
+
+    const hits = [];
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i]) hits.push(parseQueryString(lines[i]));
+    }
+    return hits;
+};
+
+/**
+ * Environment of the incoming request, resolved once per event by getEnvironment
+ */
+let currentEnvironment = null;
+
+/**
+ * Returns the environment of the incoming request. In "auto" mode, Tag Assistant preview
+ * and debug traffic is TESTING; otherwise the first matching environment rule picks the
+ * label. Any other request gets the configured environment.
+ * @return {string} The environment label
+ */
+const getEnvironment = () => {
+    if (currentEnvironment) {
+        return currentEnvironment;
+    }
+
+    currentEnvironment = OPTIONS.ENVIRONMENT;
+    if (OPTIONS.ENVIRONMENT_MODE !== 'auto') {
+        return currentEnvironment;
+    }
+
+    const containerVersion = getContainerVersion();
+    if ((containerVersion && (containerVersion.previewMode || containerVersion.debugMode)) ||
+        getRequestHeader('x-gtm-server-preview')) {
+        currentEnvironment = 'TESTING';
+        return currentEnvironment;
+    }
+
+    for (let i = 0; i < OPTIONS.ENVIRONMENT_RULES.length; i++) {
+        const rule = OPTIONS.ENVIRONMENT_RULES[i];
+        const regex = createRegex(rule.pattern, 'i');
+        const value = rule.match_on === 'header' ?
+            (rule.header ? getRequestHeader(rule.header) : undefined) :
+            getRequestHeader('host');
+
+        if (regex && testRegex(regex, value || '')) {
+            currentEnvironment = rule.environment;
+            break;
+        }
+    }
+    return currentEnvironment;
+};
+
+/**
+ * Whether the incoming request carries the debug trigger, set once per event by initialize
+ */
+let isDebugRequest = false;
+
+/**
+ * Checks the debug trigger of the incoming request against the configured token
+ * @return {boolean} True if the request header, cookie or query parameter holds the token
+ */
+const hasDebugTrigger = () => {
+    const trigger = OPTIONS.DEBUG_TRIGGER;
+    if (!trigger) {
+        return false;
+    }
+
+    let value;
+    if (trigger.source === 'header') {
+        value = getRequestHeader(trigger.name);
+    } else if (trigger.source === 'cookie') {
+        value = getCookieValues(trigger.name)[0];
+    } else if (trigger.source === 'query') {
+        value = parseQueryString(getRequestQueryString() || '')[trigger.name];
+    }
+    return value === trigger.token;
+};
+
+/**
+ * Consent signals read from Google Consent Mode, in the order they appear in "gcd"
+ */
+const CONSENT_TYPES = ['ad_storage', 'analytics_storage', 'ad_user_data', 'ad_personalization'];
+
+/**
+ * Letters of a "gcd" parameter whose final state is granted or denied.
+ * Any other letter ("l") means the signal was not set.
+ */
+const GCD_GRANTED = 'tnrv';
+const GCD_DENIED = 'pqmu';
+
+/**
+ * Normalizes a consent value from event data into "granted", "denied" or undefined
+ *
+ * @param {*} value A boolean, "granted"/"denied" or "1"/"0"
+ * @return {string|undefined} The normalized consent value
+ */
+const normalizeConsent = (value) => {
+    if (value === true || value === 'granted' || value === '1' || value === 1) return 'granted';
+    if (value === false || value === 'denied' || value === '0' || value === 0) return 'denied';
+    return undefined;
+};
+
+/**
+ * Reads the consent state of a request from Google Consent Mode ("gcs"/"gcd" parameters,
+ * "x-ga-gcs", "consent_state" in event data) and TCF signals, and sums it up in an outcome:
+ * "granted" when every known signal is granted, "denied" when all are denied, "partial"
+ * when they are mixed and "unknown" when there is none.
+ *
+ * @param {Object} eventData The event data
+ * @param {string} url The request URL, whose query string may carry consent parameters
+ * @return {Object} The consent state
+ */
+const getConsentState = (eventData, url) => {
+    const queryStart = url ? url.indexOf('?') : -1;
+    const params = queryStart === -1 ? {} : parseQueryString(url.substring(queryStart + 1));
+    const eventValues = eventData || {};
+    const gdprFlag = normalizeConsent(params.gdpr || eventValues['x-ga-gdpr']);
+    const consent = {
+        "gcs": params.gcs || eventValues['x-ga-gcs'],
+        "gcd": params.gcd || eventValues['x-ga-gcd'],
+        "tcf_string": params.gdpr_consent || eventValues['x-ga-gdpr_consent'] || eventValues.gdpr_consent,
+        "gdpr_applies": gdprFlag ? gdprFlag === 'granted' : undefined
+    };
+
+    // "gcs" is G1<ad_storage><analytics_storage>, with 1 granted, 0 denied
+    if (consent.gcs && consent.gcs.length >= 4) {
+        consent.ad_storage = normalizeConsent(consent.gcs.charAt(2));
+        consent.analytics_storage = normalizeConsent(consent.gcs.charAt(3));
+    }
+
+    // "gcd" has one letter per consent type at every other position, after a 2 digit prefix
+    if (consent.gcd) {
+        for (let i = 0; i < CONSENT_TYPES.length; i++) {
+            const letter = consent.gcd.charAt(2 + i * 2);
+            if (letter && GCD_GRANTED.indexOf(letter) !== -1) consent[CONSENT_TYPES[i]] = 'granted';
+            if (letter && GCD_DENIED.indexOf(letter) !== -1) consent[CONSENT_TYPES[i]] = 'denied';
+        }
+    }
+
+    // An explicit consent_state in event data takes precedence over the encoded parameters
+    const consentState = eventValues.consent_state;
+    if (consentState && getType(consentState) === 'object') {
+        for (let i = 0; i < CONSENT_TYPES.length; i++) {
+            const value = normalizeConsent(consentState[CONSENT_TYPES[i]]);
+            if (value) consent[CONSENT_TYPES[i]] = value;
+        }
+    }
+
+    let granted = 0;
+    let denied = 0;
+    for (let i = 0; i < CONSENT_TYPES.length; i++) {
+        if (consent[CONSENT_TYPES[i]] === 'granted') granted++;
+        if (consent[CONSENT_TYPES[i]] === 'denied') denied++;
+    }
+    consent.outcome = !granted && !denied ? 'unknown' : (!denied ? 'granted' : (!granted ? 'denied' : 'partial'));
+
+    return consent;
+};
+
+/**
+ * Client hint headers reported in the request metadata
+ */
+const CLIENT_HINT_HEADERS = ['sec-ch-ua', 'sec-ch-ua-mobile', 'sec-ch-ua-platform',
+    'sec-ch-ua-platform-version', 'sec-ch-ua-model', 'sec-ch-ua-full-version-list'];
+
+/**
+ * Geolocation headers set by the hosting platform (App Engine, Cloudflare, CloudFront
+ * and the common x-geo-* convention), in order of preference
+ */
+const GEO_HEADERS = {
+    country: ['x-appengine-country', 'cf-ipcountry', 'cloudfront-viewer-country', 'x-geo-country'],
+    region: ['x-appengine-region', 'cloudfront-viewer-country-region', 'x-geo-region'],
+    city: ['x-appengine-city', 'cloudfront-viewer-city', 'x-geo-city']
+};
+
+/**
+ * Reads the headers of a list that are set on the incoming request
+ *
+ * @param {Array} names The lowercase header names
+ * @return {Object} The values of the headers that are set, by name
+ */
+const getRequestHeaders = (names) => {
+    const headers = {};
+    for (let i = 0; i < names.length; i++) {
+        const value = getRequestHeader(names[i]);
+        if (value) {
+            headers[names[i]] = value;
+        }
+    }
+    return headers;
+};
+
+/**
+ * Expands an IPv6 address into its eight groups, filling the groups a "::" compresses
+ * with "0". A trailing dotted IPv4 part counts as two groups.
+ *
+ * @param {string} ip The IPv6 address, without zone
+ * @return {Array} The eight groups, or undefined if the address is not valid
+ */
+const expandIpv6 = (ip) => {
+    const halves = ip.split('::');
+    if (halves.length > 2) {
+        return undefined;
+    }
+
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    if (tail.length && tail[tail.length - 1].indexOf('.') !== -1) {
+        tail[tail.length - 1] = '0';
+        tail.push('0');
+    } else if (!tail.length && head.length && head[head.length - 1].indexOf('.') !== -1) {
+        head[head.length - 1] = '0';
+        head.push('0');
+    }
+
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) {
+        return undefined;
+    }
+
+    const groups = head;
+    for (let i = 0; i < missing; i++) {
+        groups.push('0');
+    }
+    for (let i = 0; i < tail.length; i++) {
+        groups.push(tail[i]);
+    }
+
+    for (let i = 0; i < groups.length; i++) {
+        if (!groups[i] || groups[i].length > 4) {
+            return undefined;
+        }
+    }
+    return groups;
+};
+
+/**
+ * Truncates an IP address to its network: the last octet of an IPv4 address is
+ * zeroed, and an IPv6 address keeps its first three groups (a /48 network).
+ * IPv4-mapped IPv6 addresses ("::ffff:203.0.113.7") are truncated as IPv4.
+ *
+ * @param {string} ip The IP address
+ * @return {string} The truncated IP address, or undefined
+ */
+const truncateIp = (ip) => {
+    if (!ip) {
+        return undefined;
+    }
+
+    if (ip.toLowerCase().indexOf('::ffff:') === 0 && ip.indexOf('.') !== -1) {
+        ip = ip.substring(7);
+    }
+
+    if (ip.indexOf(':') !== -1) {
+        const groups = expandIpv6(ip.split('%')[0].toLowerCase());
+        return groups ? groups.slice(0, 3).join(':') + '::' : undefined;
+    }
+
+    const octets = ip.split('.');
+    if (octets.length !== 4) {
+        return undefined;
+    }
+    return octets[0] + '.' + octets[1] + '.' + octets[2] + '.0';
+};
+
+/**
+ * Reads the coarse location of the client from the platform geolocation headers
+ * @return {Object} The country, region and city, each undefined if not available
+ */
+const getGeo = () => {
+    const geo = {};
+    const fields = Object.keys(GEO_HEADERS);
+    for (let i = 0; i < fields.length; i++) {
+        const names = GEO_HEADERS[fields[i]];
+        for (let j = 0; j < names.length; j++) {
+            const value = getRequestHeader(names[j]);
+            if (value) {
+                geo[fields[i]] = value;
+                break;
+            }
+        }
+    }
+    return geo;
+};
+
+/**
+ * Describes the incoming request to the server container: its method, the
+ * allow-listed headers, the user agent and client hints, and the truncated
+ * client IP and platform geolocation when enabled
+ *
+ * @return {Object} The request metadata
+ */
+const getRequestMetadata = () => {
+    const metadata = {
+        "method": getRequestMethod(),
+        "path": getRequestPath(),
+        "user_agent": getRequestHeader('user-agent'),
+        "client_hints": getRequestHeaders(CLIENT_HINT_HEADERS),
+        "headers": getRequestHeaders(OPTIONS.REQUEST_HEADERS)
+    };
+
+    if (OPTIONS.COLLECT_TRUNCATED_IP) {
+        metadata.ip = truncateIp(getRemoteAddress());
+    }
+    if (OPTIONS.COLLECT_GEO) {
+        metadata.geo = getGeo();
+    }
+    return metadata;
+};
+
+/**
+ * Resolves the custom tags of a track: the static tags plus every dynamic tag evaluated
+ * against the current event and request. Dynamic tags without a value get their default,
+ * or are left out when they have none.
+ *
+ * @return {Object} The tags of the track
+ */
+const resolveTags = () => {
+    if (!OPTIONS.DYNAMIC_TAGS.length) {
+        return OPTIONS.CUSTOM_TAGS;
+    }
+
+    const tags = JSON.parse(JSON.stringify(OPTIONS.CUSTOM_TAGS));
+    let queryParameters;
+    for (let i = 0; i < OPTIONS.DYNAMIC_TAGS.length; i++) {
+        const tag = OPTIONS.DYNAMIC_TAGS[i];
+        let value;
+        if (!tag.value) {
+            value = undefined;
+        } else if (tag.source === 'event_data') {
+            value = getEventData(tag.value);
+        } else if (tag.source === 'header') {
+            value = getRequestHeader(tag.value);
+        } else if (tag.source === 'query') {
+            queryParameters = queryParameters || parseQueryString(getRequestQueryString() || '');
+            value = queryParameters[tag.value];
+        } else if (tag.source === 'cookie') {
+            value = getCookieValues(tag.value)[0];
+        }
+
+        if (value === undefined || value === null || value === '') {
+            value = tag.default_value;
+        }
+        if (value !== undefined && value !== null && value !== '') {
+            tags[tag.key] = getType(value) === 'object' || getType(value) === 'array' ?
+                JSON.stringify(value) : makeString(value);
+        }
+    }
+    return tags;
+};
+
+/**
+ * Creates a raw track object from an intercepted request or original request.
+ *
+ * @param {string} provider The provider name ("ssgtm_event", "ssgtm_message", "ssgtm_tags",
+ *     a PROVIDERS id or a MESSAGE_TYPE_PROVIDERS id)
+ * @param {Object} request The request object containing url, body, and optional method and parsedPayload
+ * @return {Object} A formatted raw track object
+ */
+const createRawTrack = (provider, request) => {
+    // Get event data to extract the href/page_location
+    const eventData = getAllEventData();
+
+    // Try to get the href from different sources with fallbacks
+    const href = (eventData && eventData.page_location) ||
+        getRequestHeader('referer') ||
+        null;
+
+    const currentTime = getTimestampMillis();
+
+    return {
+        // A PROVIDERS id, a MESSAGE_TYPE_PROVIDERS id, or ssgtm_event, ssgtm_message or ssgtm_tags
+        "provider": provider,
+        "request": {
+            // The original endpoint URL
+            "endpoint": request.url,
+            // The request method
+            "method": request.method || "POST",
+            // The outgoing request headers (intercepted requests only), credentials masked
+            "headers": request.headers,
+            // The post payload, in its original form
+            "post_payload": request.body || null,
+            // The post payload decoded by provider (known vendors only)
+            "parsed_payload": request.parsedPayload,
+            "protocol": "ssgtm",
+            // The url the event has been triggered at (if available)
+            "href": href,
+        },
+        // The incoming request: method, allow-listed headers, client hints and coarse location
+        "request_metadata": getRequestMetadata(),
+        // Session of the request, sequence number of the request in it and new-session flag
+        "session": OPTIONS.USE_SESSIONS ? getSession() : undefined,
+        // Consent state of the request
+        "consent": getConsentState(eventData, request.url),
+        // Links the tracks of the same event: the incoming request and the vendor calls it caused
+        "correlation_id": getCorrelationId(),
+        // Name of the event, kept here as minimalContext can drop it from the event data
+        "event_name": eventData ? eventData.event_name : undefined,
+        // Environment of the request, batches never mix environments
+        "environment": getEnvironment(),
+        // Custom tags from configuration, with the dynamic tags resolved for this request
+        "tags": resolveTags(),
+        // Top-level timestamp
+        "ts": currentTime,
+        // The event data
+        "context": {
+            "ssgtm_event_data": eventData
+        }
+    };
+};
+
+/**
+ * Returns the path and query string of the incoming request
+ * @return {string} The incoming request URL
+ */
+const getIncomingRequestUrl = () => {
+    const originalRequestUrl = getRequestPath() || '';
+    const queryString = getRequestQueryString();
+
+    // Append the query string to the path if it exists
+    return queryString ? originalRequestUrl + '?' + queryString : originalRequestUrl;
+};
+
+/**
+ * Processes the GTM event and adds it to the queue
+ */
+const processGTMEvent = () => {
+    // Capture the original request when the tag loads
+    const fullRequestUrl = getIncomingRequestUrl();
+
+    // Use ssgtm_event as the provider for GTM events
+    const provider = "ssgtm_event";
+
+    const request = {
+        url: fullRequestUrl,
+        body: getRequestBody(),
+        method: getRequestMethod() || "GET"
+    };
+
+    // Skip requests already captured within the dedup window. This also reports a
+    // request batching several GA4 events only once, as each event runs this tag.
+    if (isDuplicateRequest(request)) {
+        log(false, "DUPLICATE GTM EVENT - Skipped processing", {
+            url: getLoggableUrl(fullRequestUrl)
+        });
+        return;
+    }
+
+    // Create raw track with the new post_payload
+    const raw_track = createRawTrack(provider, request);
+
+    if (!raw_track) {
+        log(true, "ERROR: Failed to create raw track for GTM event");
+        incrementCounter('create_failed');
+        return;
+    }
+
+    log(false, "GTM EVENT PROCESSED", {
+        provider: provider,
+        url: getLoggableUrl(fullRequestUrl)
+    });
+
+    // Add to queue
+    addToQueue(raw_track);
+};
+
+/**
+ * Providers of the non-HTTP destinations reported by the snippet, by message type
+ */
+const MESSAGE_TYPE_PROVIDERS = {
+    bigquery: 'bigquery',
+    firestore: 'firestore',
+    browser_pixel: 'browser_pixel'
+};
+
+/**
+ * Decodes the payload of a non-HTTP destination: the rows inserted in BigQuery, the
+ * document written to Firestore, or the query parameters of a browser pixel
+ *
+ * @param {string} provider The provider of the request
+ * @param {string} url The destination URL
+ * @param {*} body The reported body
+ * @return {*} The structured payload, or undefined for any other provider
+ */
+const parseNonHttpPayload = (provider, url, body) => {
+    if (provider === 'bigquery' || provider === 'firestore') {
+        return body;
+    }
+    if (provider === 'browser_pixel') {
+        const queryStart = url.indexOf('?');
+        return queryStart === -1 ? {} : parseQueryString(url.substring(queryStart + 1).split('#')[0]);
+    }
+    return undefined;
+};
+
+/**
+ * Masks the debug trigger and the credentials of a URL, so that it can be logged
+ *
+ * @param {string} url The URL
+ * @return {string} The URL to log
+ */
+const getLoggableUrl = (url) => redactUrl(redactUrl(url, DEBUG_TRIGGER_REDACTION), SECRET_REDACTION);
+
+/**
+ * Masks the credentials of a snippet message, so that it can be logged. The message
+ * itself is only redacted when its track is queued.
+ *
+ * @param {Object} message The "tp_request" message
+ * @return {Object} A copy of the message with its credentials masked
+ */
+const redactMessage = (message) => {
+    if (getType(message) !== 'object') {
+        return message;
+    }
+
+    const redacted = redactObject(redactObject(message, [], DEBUG_TRIGGER_REDACTION), [], SECRET_REDACTION);
+    redacted.url = getLoggableUrl(message.url);
+    redacted.body = redactBody(message.body, SECRET_REDACTION);
+    redacted.response_body = redactBody(message.response_body, SECRET_REDACTION);
+    return redacted;
+};
+
+/**
+ * Sets up a message listener for intercepted requests
+ */
+const setupMessageListener = () => {
+    // Listen for messages of type "tp_request"
+    addMessageListener('tp_request', (messageType, message) => {
+        log(false, "message_received", messageType, redactMessage(message));
+
+        if (!message || !message.url) {
+            log(true, "ERROR: Invalid message received", redactMessage(message));
+            incrementCounter('invalid');
+            return;
+        }
+
+        // BigQuery, Firestore and browser pixels have their own providers. Otherwise, identify
+        // the vendor from the URL, and unknown endpoints keep the generic provider
+        const knownProvider = message.type ? null : matchProvider(message.url);
+        const provider = MESSAGE_TYPE_PROVIDERS[message.type] ||
+            (knownProvider ? knownProvider.id : "ssgtm_message");
+
+        // Create a request object from the message
+        const request = {
+            url: message.url,
+            body: message.body || null,
+            // Snippets older than the method field only reported POST requests
+            method: message.method || 'POST',
+            headers: message.headers,
+            parsedPayload: knownProvider ? parsePayload(knownProvider, message.url, message.body) :
+                parseNonHttpPayload(provider, message.url, message.body)
+        };
+
+        // Skip the same call reported again, e.g. when a tag retries it
+        if (isDuplicateRequest(request)) {
+            log(false, "DUPLICATE MESSAGE - Skipped processing", {
+                provider: provider,
+                url: getLoggableUrl(message.url)
+            });
+            return;
+        }
+
+        const raw_track = createRawTrack(provider, request);
+        if (!raw_track) {
+            log(true, "ERROR: Failed to create raw track for intercepted request");
+            incrementCounter('create_failed');
+            return;
+        }
+
+        // Attach the vendor response observed by the snippet, if it completed before the event
+        if (message.elapsed_ms !== undefined) {
+            raw_track.response = {
+                "success": !message.error && !(message.status_code >= 400),
+                "status_code": message.status_code,
+                "body_excerpt": message.response_body,
+                "elapsed_ms": message.elapsed_ms,
+                "error": message.error
+            };
+
+            if (message.error || message.status_code >= 400) {
+                log(false, "VENDOR REQUEST FAILED", {
+                    provider: provider,
+                    url: getLoggableUrl(message.url),
+                    status_code: message.status_code,
+                    error: message.error
+                });
+            }
+        }
+
+        // Add to queue
+        addToQueue(raw_track);
+    });
+};
+
+/**
+ * Registers an event callback that reports the outcome of every tag fired for the event.
+ * This works for any tag, including those without the Trackingplan snippet.
+ */
+const setupTagOutcomeMonitor = () => {
+    addEventCallback((containerId, eventData) => {
+        const tags = (eventData && eventData.tags) || [];
+        if (!tags.length) {
+            return;
+        }
+
+        const outcomes = [];
+        let failedCount = 0;
+        let timeoutCount = 0;
+
+        for (let i = 0; i < tags.length; i++) {
+            // Keep any additional tag metadata (e.g. the tag name) configured in the container
+            const outcome = JSON.parse(JSON.stringify(tags[i]));
+            outcome.failed = outcome.status === 'failure' || outcome.status === 'exception';
+            outcome.timed_out = outcome.status === 'timeout';
+
+            if (outcome.failed) failedCount++;
+            if (outcome.timed_out) timeoutCount++;
+            outcomes.push(outcome);
+        }
+
+        if (failedCount || timeoutCount) {
+            log(false, "TAG FAILURES DETECTED", {
+                container_id: containerId,
+                failed: failedCount,
+                timed_out: timeoutCount
+            });
+        }
+
+        const raw_track = createRawTrack("ssgtm_tags", {
+            url: getIncomingRequestUrl(),
+            body: null,
+            method: getRequestMethod() || "GET"
+        });
+
+        if (!raw_track) {
+            log(true, "ERROR: Failed to create raw track for tag outcomes");
+            incrementCounter('create_failed');
+            return;
+        }
+
+        raw_track.context.ssgtm_tag_outcomes = {
+            "container_id": containerId,
+            "tags": outcomes,
+            "total_count": outcomes.length,
+            "failed_count": failedCount,
+            "timeout_count": timeoutCount
+        };
+
+        addToQueue(raw_track);
+    });
+};
+
+/**
+ * Returns the host and path of the endpoint a raw track was sent to.
+ * GTM events only know their path, so the host comes from the incoming request.
+ *
+ * @param {Object} rawTrack The raw track
+ * @return {string} The endpoint host and path, e.g. "graph.facebook.com/v18.0/123/events"
+ */
+const getEndpointHostPath = (rawTrack) => {
+    const endpoint = rawTrack.request.endpoint || '';
+    const parsedUrl = parseUrl(endpoint);
+    if (parsedUrl) {
+        return parsedUrl.hostname + parsedUrl.pathname;
+    }
+
+    const queryStart = endpoint.indexOf('?');
+    return (getRequestHeader('host') || '') + (queryStart === -1 ? endpoint : endpoint.substring(0, queryStart));
+};
+
+/**
+ * Finds the first filter rule matching a raw track
+ *
+ * @param {Object} rawTrack The raw track
+ * @return {Object|null} The matching rule from OPTIONS.FILTER_RULES, or null
+ */
+const findFilterRule = (rawTrack) => {
+    for (let i = 0; i < OPTIONS.FILTER_RULES.length; i++) {
+        const rule = OPTIONS.FILTER_RULES[i];
+        const regex = createRegex(rule.pattern, 'i');
+        if (!regex) {
+            log(true, "ERROR: Invalid filter rule pattern", {
+                rule: rule.index,
+                pattern: rule.pattern
+            });
+            continue;
+        }
+
+        let value;
+        if (rule.match_on === 'provider') {
+            value = rawTrack.provider;
+        } else if (rule.match_on === 'endpoint') {
+            value = getEndpointHostPath(rawTrack);
+        } else if (rule.match_on === 'event_data') {
+            value = rule.path ? getEventData(rule.path) : undefined;
+        } else {
+            value = getEventData('event_name');
+        }
+
+        if (testRegex(regex, value === undefined || value === null ? '' : makeString(value))) {
+            return rule;
+        }
+    }
+    return null;
+};
+
+/**
+ * Reads the value at a dot separated path of an object. Array items are
+ * addressed by their index (e.g. data.0.event_name).
+ *
+ * @param {*} value The object
+ * @param {string} path The path
+ * @return {*} The value at the path, or undefined
+ */
+const getValueAtPath = (value, path) => {
+    const segments = path.split('.');
+    let current = value;
+    for (let i = 0; i < segments.length; i++) {
+        const type = getType(current);
+        if (type !== 'object' && type !== 'array') {
+            return undefined;
+        }
+        current = current[segments[i]];
+    }
+    return current;
+};
+
+/**
+ * Checks a value against a validation rule
+ *
+ * @param {Object} rule The rule from OPTIONS.VALIDATION_RULES
+ * @param {*} value The value of the rule property
+ * @return {string|null} Why the value breaks the rule, or null if it passes
+ */
+const checkValidationRule = (rule, value) => {
+    const missing = value === undefined || value === null || value === '';
+    if (rule.check === 'required') {
+        return missing ? 'missing required property' : null;
+    }
+
+    // Type, allowed values and patterns only apply to properties that are set
+    if (missing) {
+        return null;
+    }
+
+    const valueType = getType(value);
+    if (rule.check === 'type') {
+        return valueType === rule.value ? null : 'expected type ' + rule.value + ', got ' + valueType;
+    }
+
+    if (rule.check === 'allowed') {
+        const allowedValues = makeString(rule.value || '').split(',');
+        for (let i = 0; i < allowedValues.length; i++) {
+            if (allowedValues[i].trim() === makeString(value)) {
+                return null;
+            }
+        }
+        return 'value not in the allowed values';
+    }
+
+    if (rule.check === 'regex') {
+        const regex = createRegex(rule.value || '');
+        if (!regex) {
+            log(true, "ERROR: Invalid validation rule pattern", {
+                rule: rule.index,
+                pattern: rule.value
+            });
+            return null;
+        }
+        return testRegex(regex, valueType === 'object' || valueType === 'array' ? JSON.stringify(value) : makeString(value)) ?
+            null : 'value does not match the pattern';
+    }
+    return null;
+};
+
+/**
+ * Runs the validation rules of the current event against a raw track. Event data rules
+ * check the GTM event tracks, and provider rules the decoded body of that provider's tracks.
+ *
+ * @param {Object} rawTrack The raw track
+ * @return {Array} The violations, empty if the track passes every rule
+ */
+const validateRawTrack = (rawTrack) => {
+    const eventName = makeString(getEventData('event_name') || '');
+    const violations = [];
+
+    for (let i = 0; i < OPTIONS.VALIDATION_RULES.length; i++) {
+        const rule = OPTIONS.VALIDATION_RULES[i];
+        const isEventDataRule = rule.source === 'event_data';
+        if (isEventDataRule ? rawTrack.provider !== 'ssgtm_event' : rawTrack.provider !== rule.source) {
+            continue;
+        }
+
+        const eventRegex = createRegex(rule.event_pattern, 'i');
+        if (!eventRegex) {
+            log(true, "ERROR: Invalid validation rule event name", {
+                rule: rule.index,
+                pattern: rule.event_pattern
+            });
+            continue;
+        }
+        if (!testRegex(eventRegex, eventName)) {
+            continue;
+        }
+
+        const value = isEventDataRule ? getEventData(rule.property) :
+            getValueAtPath(rawTrack.request.parsed_payload, rule.property);
+        const reason = checkValidationRule(rule, value);
+        if (reason) {
+            violations.push({
+                "rule": rule.index,
+                "property": rule.property,
+                "check": rule.check,
+                "expected": rule.check === 'required' ? undefined : rule.value,
+                "reason": reason
+            });
+        }
+    }
+    return violations;
+};
+
+/**
+ * Finds the Trackingplan destination of a raw track: the first matching route, or the
+ * tag's own tpId and endpoint when no route matches
+ *
+ * @param {Object} rawTrack The raw track
+ * @return {Object|null} The destination { id, tp_id, endpoint, webhook_url, route }, or
+ *   null if the matching route was rejected
+ */
+const getDestination = (rawTrack) => {
+    let tpId = OPTIONS.TP_ID;
+    let endpoint = OPTIONS.ENDPOINT;
+    let routeIndex = null;
+
+    for (let i = 0; i < OPTIONS.ROUTES.length; i++) {
+        const route = OPTIONS.ROUTES[i];
+        const regex = createRegex(route.pattern, 'i');
+        if (!regex) {
+            log(true, "ERROR: Invalid route pattern", {
+                route: route.index,
+                pattern: route.pattern
+            });
+            continue;
+        }
+
+        let value;
+        if (route.match_on === 'provider') {
+            value = rawTrack.provider;
+        } else if (route.match_on === 'event_data') {
+            value = route.path ? getEventData(route.path) : undefined;
+        } else {
+            value = getRequestHeader('host');
+        }
+
+        if (testRegex(regex, value === undefined || value === null ? '' : makeString(value))) {
+            if (route.rejected) {
+                return null;
+            }
+            tpId = route.tp_id;
+            endpoint = route.endpoint;
+            routeIndex = route.index;
+            break;
+        }
+    }
+
+    return createDestination(tpId, endpoint, routeIndex);
+};
+
+/**
+ * Creates a destination
+ *
+ * @param {string} tpId The Trackingplan ID
+ * @param {string} endpoint The Trackingplan API endpoint
+ * @param {number} routeIndex The index of the matching route, null for the tag's own destination
+ * @return {Object} The destination { id, tp_id, endpoint, webhook_url, route }
+ */
+const createDestination = (tpId, endpoint, routeIndex) => {
+    return {
+        // Routes sending to the same tpId and endpoint share a queue
+        id: tpId + '@' + endpoint,
+        tp_id: tpId,
+        endpoint: endpoint,
+        // Construct webhook URL with proper trailing slash handling
+        webhook_url: endpoint + (endpoint.charAt(endpoint.length - 1) === '/' ? '' : '/') + tpId + '?ssgtm=true',
+        route: routeIndex
+    };
+};
+
+/**
+ * Resolves the identifier that deterministic sampling is keyed on
+ * @return {*} The identifier, or undefined for random sampling or when it's missing
+ */
+const getSamplingKey = () => {
+    if (OPTIONS.SAMPLING_MODE === 'session') {
+        return getSession().id;
+    }
+    if (OPTIONS.SAMPLING_MODE === 'client_id') {
+        return getEventData('client_id');
+    }
+    if (OPTIONS.SAMPLING_MODE === 'event_data_path' && OPTIONS.SAMPLING_KEY_PATH) {
+        return getEventData(OPTIONS.SAMPLING_KEY_PATH);
+    }
+    return undefined;
+};
+
+/**
+ * Decides whether a track is kept by sampling. When sampling is keyed on an identifier,
+ * a hash of it picks the bucket so all tracks of the same user or session are either
+ * kept or skipped together. Tracks without the identifier fall back to random sampling.
+ *
+ * @param {number} rate The sampling rate (1 = keep all, 10 = keep one out of 10)
+ * @return {boolean} True if the track is kept
+ */
+const isSampledIn = (rate) => {
+    if (rate <= 1) {
+        return true;
+    }
+
+    const key = getSamplingKey();
+    if (key === undefined || key === null || key === '') {
+        return generateRandom(1, rate) === 1;
+    }
+
+    // The first 32 bits of the hash are uniformly distributed, so modulo rate is a fair bucket
+    const hash = sha256Sync(makeString(key), { outputEncoding: 'hex' });
+    let bucket = 0;
+    for (let i = 0; i < 8; i++) {
+        bucket = bucket * 16 + '0123456789abcdef'.indexOf(hash.charAt(i));
+    }
+    return bucket % rate === 0;
+};
+
+/**
+ * Storage keys of the schema fingerprint cache and of the time its counts were last
+ * sent, the maximum number of fingerprints kept, and how often the counts are sent
+ */
+const SCHEMA_STORAGE_KEY = storageKey('schemas');
+const SCHEMA_COUNTS_SENT_STORAGE_KEY = storageKey('schemaCountsSentAt');
+const MAX_SCHEMA_ENTRIES = 500;
+const SCHEMA_COUNTS_INTERVAL_MS = 60000;
+
+/**
+ * Collects the property paths of a value with their types. Array items share the
+ * "[]" segment, so arrays of any length with the same items have the same paths.
+ *
+ * @param {*} value The value
+ * @param {string} path The path of the value
+ * @param {Object} paths The types collected so far, by path
+ * @return {Object} The types by path
+ */
+const collectSchemaPaths = (value, path, paths) => {
+    const type = getType(value);
+    if (path) {
+        paths[path] = type;
+    }
+
+    if (type === 'object') {
+        const keys = Object.keys(value);
+        for (let i = 0; i < keys.length; i++) {
+            collectSchemaPaths(value[keys[i]], path ? path + '.' + keys[i] : keys[i], paths);
+        }
+    } else if (type === 'array') {
+        for (let i = 0; i < value.length; i++) {
+            collectSchemaPaths(value[i], path + '[]', paths);
+        }
+    }
+    return paths;
+};
+
+/**
+ * Computes the schema fingerprint of a raw track: a hash of its provider, event name
+ * and the property paths and types of its decoded payload, or of its event data for
+ * tracks without a decoded payload
+ *
+ * @param {Object} rawTrack The raw track
+ * @return {string} The fingerprint
+ */
+const getSchemaFingerprint = (rawTrack) => {
+    const payload = rawTrack.request.parsed_payload !== undefined ?
+        rawTrack.request.parsed_payload : rawTrack.context.ssgtm_event_data;
+    const paths = collectSchemaPaths(payload, '', {});
+
+    const schema = [];
+    const keys = Object.keys(paths);
+    for (let i = 0; i < keys.length; i++) {
+        schema.push(keys[i] + ':' + paths[keys[i]]);
+    }
+    schema.sort();
+
+    return sha256Sync(rawTrack.provider + '|' + makeString(getEventData('event_name') || '') + '|' + schema.join(','), {
+        outputEncoding: 'hex'
+    }).substring(0, 16);
+};
+
+/**
+ * Returns the schema cache key of a fingerprint. Each destination and environment
+ * keeps its own fingerprints, so a shape seen on one never hides it from another.
+ *
+ * @param {Object} destination The destination of the track
+ * @param {string} environment The environment of the track
+ * @param {string} fingerprint The schema fingerprint
+ * @return {string} The cache key
+ */
+const getSchemaKey = (destination, environment, fingerprint) => {
+    return destination.id + '|' + environment + '|' + fingerprint;
+};
+
+/**
+ * Counts a raw track against its fingerprint if the fingerprint was sent in full
+ * within SCHEMA_TTL_MS
+ *
+ * @param {Object} rawTrack The raw track, with its schema_fingerprint
+ * @param {Object} destination The destination of the track
+ * @return {boolean} True if the track was counted, false if it must be sent in full
+ */
+const countKnownSchema = (rawTrack, destination) => {
+    const schemas = templateDataStorage.getItemCopy(SCHEMA_STORAGE_KEY) || {};
+    const entry = schemas[getSchemaKey(destination, rawTrack.environment, rawTrack.schema_fingerprint)];
+
+    if (!entry || getTimestampMillis() - entry.t >= OPTIONS.SCHEMA_TTL_MS) {
+        return false;
+    }
+
+    entry.c++;
+    templateDataStorage.setItemCopy(SCHEMA_STORAGE_KEY, schemas);
+    return true;
+};
+
+/**
+ * Records the fingerprint of a raw track queued in full. The cache is bounded: the
+ * fingerprints sent in full the longest ago are evicted first.
+ *
+ * @param {Object} rawTrack The raw track, with its schema_fingerprint
+ * @param {Object} destination The destination of the track
+ */
+const recordSchema = (rawTrack, destination) => {
+    const schemas = templateDataStorage.getItemCopy(SCHEMA_STORAGE_KEY) || {};
+    const key = getSchemaKey(destination, rawTrack.environment, rawTrack.schema_fingerprint);
+    const entry = schemas[key];
+
+    schemas[key] = {
+        d: destination,
+        v: rawTrack.environment,
+        f: rawTrack.schema_fingerprint,
+        p: rawTrack.provider,
+        e: getEventData('event_name'),
+        t: getTimestampMillis(),
+        c: entry ? entry.c : 0
+    };
+
+    const keys = Object.keys(schemas);
+    if (keys.length > MAX_SCHEMA_ENTRIES) {
+        keys.sort((a, b) => schemas[a].t - schemas[b].t);
+        for (let i = 0; i < keys.length - MAX_SCHEMA_ENTRIES; i++) {
+            Object.delete(schemas, keys[i]);
+        }
+    }
+
+    templateDataStorage.setItemCopy(SCHEMA_STORAGE_KEY, schemas);
+};
+
+/**
+ * Forgets the fingerprints of tracks that were never delivered, so the next track
+ * with the same shape is sent in full again
+ *
+ * @param {Object} destination The destination of the tracks
+ * @param {Array} requests The raw tracks
+ */
+const forgetSchemas = (destination, requests) => {
+    const schemas = templateDataStorage.getItemCopy(SCHEMA_STORAGE_KEY);
+    if (!schemas) {
+        return;
+    }
+
+    let changed = false;
+    for (let i = 0; i < requests.length; i++) {
+        if (!requests[i].schema_fingerprint) continue;
+        const key = getSchemaKey(destination, requests[i].environment, requests[i].schema_fingerprint);
+        if (schemas[key]) {
+            Object.delete(schemas, key);
+            changed = true;
+        }
+    }
+
+    if (changed) {
+        templateDataStorage.setItemCopy(SCHEMA_STORAGE_KEY, schemas);
+    }
+};
+
+/**
+ * Returns the tracks counted per fingerprint since the counts were last sent, grouped
+ * by destination and environment
+ * @return {Array} Groups of { destination, environment, counts }, where counts has one
+ *   { fingerprint, provider, event_name, count } entry per counted fingerprint
+ */
+const getSchemaCounts = () => {
+    const schemas = templateDataStorage.getItemCopy(SCHEMA_STORAGE_KEY) || {};
+    const keys = Object.keys(schemas);
+    const groups = [];
+    const groupIndex = {};
+    for (let i = 0; i < keys.length; i++) {
+        const entry = schemas[keys[i]];
+        if (!(entry.c > 0)) continue;
+
+        const groupKey = entry.d.id + '|' + entry.v;
+        if (groupIndex[groupKey] === undefined) {
+            groupIndex[groupKey] = groups.length;
+            groups.push({ destination: entry.d, environment: entry.v, counts: [] });
+        }
+        groups[groupIndex[groupKey]].counts.push({
+            fingerprint: entry.f,
+            provider: entry.p,
+            event_name: entry.e,
+            count: entry.c
+        });
+    }
+    return groups;
+};
+
+/**
+ * Subtracts the counts a batch reported successfully, keeping the tracks counted
+ * while the batch was in flight
+ *
+ * @param {Object} destination The destination of the batch
+ * @param {string} environment The environment of the batch
+ * @param {Array} reported The schema counts of the batch
+ */
+const resetSchemaCounts = (destination, environment, reported) => {
+    const schemas = templateDataStorage.getItemCopy(SCHEMA_STORAGE_KEY) || {};
+    for (let i = 0; i < reported.length; i++) {
+        const entry = schemas[getSchemaKey(destination, environment, reported[i].fingerprint)];
+        if (entry) {
+            entry.c = Math.max(0, entry.c - reported[i].count);
+        }
+    }
+    templateDataStorage.setItemCopy(SCHEMA_STORAGE_KEY, schemas);
+};
+
+/**
+ * Sends the schema counts in batches without tracks, one per destination and
+ * environment, at most every SCHEMA_COUNTS_INTERVAL_MS unless forced
+ *
+ * @param {boolean} force If true, send the counts regardless of the interval
+ */
+const sendSchemaCounts = (force) => {
+    const currentTime = getTimestampMillis();
+    const lastSent = templateDataStorage.getItemCopy(SCHEMA_COUNTS_SENT_STORAGE_KEY) || 0;
+    if (!force && currentTime - lastSent < SCHEMA_COUNTS_INTERVAL_MS) {
+        return;
+    }
+
+    const groups = getSchemaCounts();
+    if (!groups.length) {
+        return;
+    }
+
+    templateDataStorage.setItemCopy(SCHEMA_COUNTS_SENT_STORAGE_KEY, currentTime);
+
+    for (let i = 0; i < groups.length; i++) {
+        const batchPayload = buildBatchPayload(groups[i].destination, [], groups[i].environment, false);
+        batchPayload.common.schema_counts = groups[i].counts;
+        log(false, "SCHEMA COUNTS TO SEND", batchPayload.common);
+        postBatch(groups[i].destination, batchPayload, null);
+    }
+};
+
+/**
+ * Bytes reserved in every batch for the common block, on top of its tracks
+ */
+const BATCH_ENVELOPE_BYTES = 4096;
+
+/**
+ * Event data values shorter than this are never considered duplicates of the request,
+ * as short values like "1" or "USD" match any body by chance
+ */
+const MIN_DUPLICATE_LENGTH = 4;
+
+/**
+ * Returns the marker that replaces the end of a truncated value
+ *
+ * @param {number} bytes The size of the original value
+ * @return {string} The truncation marker
+ */
+const getTruncationMarker = (bytes) => '...[truncated ' + bytes + ' bytes]';
+
+/**
+ * Returns the UTF-8 size of a string, as sent on the wire. Each "%XX" of its URI
+ * encoding is one byte.
+ *
+ * @param {string} value The string
+ * @return {number} The size in bytes
+ */
+const getUtf8Size = (value) => {
+    const encoded = encodeUriComponent(value);
+    // Strings with unpaired surrogates can't be encoded: assume the worst case
+    if (encoded === undefined) {
+        return value.length * 3;
+    }
+    return encoded.length - 2 * (encoded.split('%').length - 1);
+};
+
+/**
+ * Cuts a string to at most a number of UTF-8 bytes, never in the middle of a character
+ *
+ * @param {string} value The string
+ * @param {number} maxBytes The maximum size in bytes
+ * @return {string} The beginning of the string
+ */
+const truncateUtf8 = (value, maxBytes) => {
+    // A character takes at least one byte, so the first maxBytes characters are an upper bound
+    let result = value.substring(0, maxBytes);
+    let bytes = getUtf8Size(result);
+    while (bytes > maxBytes) {
+        // A UTF-16 code unit takes at most 3 bytes, so this never cuts too much
+        result = result.substring(0, result.length - Math.ceil((bytes - maxBytes) / 3));
+        const lastCode = result.charCodeAt(result.length - 1);
+        if (lastCode >= 0xD800 && lastCode <= 0xDBFF) {
+            result = result.substring(0, result.length - 1);
+        }
+        bytes = getUtf8Size(result);
+    }
+    return result;
+};
+
+/**
+ * Returns the serialized size of a value
+ *
+ * @param {*} value The value
+ * @return {number} The UTF-8 size in bytes, 0 for undefined values
+ */
+const getSerializedSize = (value) => {
+    const serialized = JSON.stringify(value);
+    return serialized ? getUtf8Size(serialized) : 0;
+};
+
+/**
+ * Truncates a value bigger than OPTIONS.MAX_FIELD_BYTES. Strings keep their beginning,
+ * followed by a truncation marker; objects and arrays are replaced by the marker.
+ *
+ * @param {*} value The value
+ * @param {string} fieldPath The path of the value in the raw track, recorded when truncated
+ * @param {Array} truncatedFields The paths of the truncated fields so far
+ * @return {*} The value, truncated if needed
+ */
+const truncateValue = (value, fieldPath, truncatedFields) => {
+    const bytes = getSerializedSize(value);
+    if (bytes <= OPTIONS.MAX_FIELD_BYTES) {
+        return value;
+    }
+
+    truncatedFields.push(fieldPath);
+    if (typeof value === 'string') {
+        return truncateUtf8(value, OPTIONS.MAX_FIELD_BYTES) + getTruncationMarker(bytes);
+    }
+    return getTruncationMarker(bytes);
+};
+
+/**
+ * Truncates every top-level value of an object bigger than OPTIONS.MAX_FIELD_BYTES
+ *
+ * @param {Object} value The object
+ * @param {string} fieldPath The path of the object in the raw track
+ * @param {Array} truncatedFields The paths of the truncated fields so far
+ * @return {Object} The object with its big values truncated
+ */
+const truncateObjectValues = (value, fieldPath, truncatedFields) => {
+    if (getType(value) !== 'object') {
+        return truncateValue(value, fieldPath, truncatedFields);
+    }
+
+    const keys = Object.keys(value);
+    for (let i = 0; i < keys.length; i++) {
+        value[keys[i]] = truncateValue(value[keys[i]], fieldPath + '.' + keys[i], truncatedFields);
+    }
+    return value;
+};
+
+/**
+ * Truncates the oversized payload and event data values of a raw track, so the
+ * biggest events still fit in a batch. The paths of the truncated fields are
+ * listed in the track "truncated_fields".
+ *
+ * @param {Object} rawTrack The raw track
+ * @return {Object} The raw track
+ */
+const truncateRawTrack = (rawTrack) => {
+    const truncatedFields = [];
+    rawTrack.request.post_payload = truncateValue(rawTrack.request.post_payload, 'request.post_payload', truncatedFields);
+    rawTrack.request.parsed_payload = truncateObjectValues(rawTrack.request.parsed_payload, 'request.parsed_payload', truncatedFields);
+    rawTrack.context.ssgtm_event_data = truncateObjectValues(rawTrack.context.ssgtm_event_data, 'context.ssgtm_event_data', truncatedFields);
+
+    if (truncatedFields.length) {
+        rawTrack.truncated_fields = truncatedFields;
+        log(false, "PAYLOAD - Truncated oversized fields", {
+            provider: rawTrack.provider,
+            fields: truncatedFields
+        });
+    }
+    return rawTrack;
+};
+
+/**
+ * Drops the event data keys whose value is already in the request URL or body.
+ * The dropped keys are listed in the track "minimal_context_dropped".
+ *
+ * @param {Object} rawTrack The raw track
+ * @return {Object} The raw track
+ */
+const minimizeContext = (rawTrack) => {
+    const eventData = rawTrack.context.ssgtm_event_data;
+    if (getType(eventData) !== 'object') {
+        return rawTrack;
+    }
+
+    const body = rawTrack.request.post_payload;
+    const requestText = makeString(rawTrack.request.endpoint || '') + '\n' +
+        (typeof body === 'string' ? body : (body ? JSON.stringify(body) : ''));
+
+    const dropped = [];
+    const keys = Object.keys(eventData);
+    for (let i = 0; i < keys.length; i++) {
+        const valueType = getType(eventData[keys[i]]);
+        if (valueType !== 'string' && valueType !== 'number') {
+            continue;
+        }
+
+        const value = makeString(eventData[keys[i]]);
+        const encodedValue = encodeUriComponent(value);
+        if (value.length >= MIN_DUPLICATE_LENGTH && (requestText.indexOf(value) !== -1 ||
+            (encodedValue && requestText.indexOf(encodedValue) !== -1))) {
+            Object.delete(eventData, keys[i]);
+            dropped.push(keys[i]);
+        }
+    }
+
+    if (dropped.length) {
+        rawTrack.minimal_context_dropped = dropped;
+    }
+    return rawTrack;
+};
+
+/**
+ * Splits tracks into chunks whose serialized size stays under a byte limit. A track
+ * bigger than the limit on its own is sent alone.
+ *
+ * @param {Array} requests The raw tracks
+ * @param {number} maxBytes The maximum size of a chunk
+ * @return {Array} The chunks, keeping the track order
+ */
+const splitByBytes = (requests, maxBytes) => {
+    const chunks = [];
+    let chunk = [];
+    let chunkBytes = 0;
+    let chunkEvents = {};
+    for (let i = 0; i < requests.length; i++) {
+        // Each track also takes a comma in the requests array and grows the fan-out
+        // summary of the batch, by a whole entry for the first track of its event
+        const correlationId = requests[i].correlation_id;
+        const isFirstOfEvent = !!correlationId && !chunkEvents[correlationId];
+        let bytes = getSerializedSize(requests[i]) + 1 + getFanoutSize(requests[i], isFirstOfEvent);
+        if (chunk.length && chunkBytes + bytes > maxBytes) {
+            chunks.push(chunk);
+            chunk = [];
+            chunkBytes = 0;
+            chunkEvents = {};
+            bytes = getSerializedSize(requests[i]) + 1 + getFanoutSize(requests[i], !!correlationId);
+        }
+        if (correlationId) {
+            chunkEvents[correlationId] = true;
+        }
+        if (bytes > maxBytes) {
+            log(true, "WARNING: Track bigger than the maximum batch size", {
+                provider: requests[i].provider,
+                track_bytes: bytes,
+                max_bytes: maxBytes
+            });
+        }
+        chunk.push(requests[i]);
+        chunkBytes += bytes;
+    }
+    if (chunk.length) {
+        chunks.push(chunk);
+    }
+    return chunks;
+};
+
+/**
+ * Returns the bytes a track adds to the fan-out summary of its batch (see summarizeFanout)
+ *
+ * @param {Object} track The raw track
+ * @param {boolean} isFirstOfEvent True if no other track of its event is in the batch yet
+ * @return {number} The size in bytes
+ */
+const getFanoutSize = (track, isFirstOfEvent) => {
+    if (!track.correlation_id) {
+        return 0;
+    }
+
+    // The provider count, with room for its digits and a comma
+    let bytes = getSerializedSize(track.provider) + 8;
+    if (isFirstOfEvent) {
+        bytes += getSerializedSize({
+            correlation_id: track.correlation_id,
+            event_name: track.event_name,
+            track_count: 0,
+            providers: {}
+        }) + 8;
+    }
+    return bytes;
+};
+
+/**
+ * Storage key of the registry of destinations with a queue, so that stale and flushed
+ * queues are found even after their route is removed from the configuration
+ */
+const DESTINATIONS_STORAGE_KEY = storageKey('destinations');
+
+/**
+ * Storage key of the queue index of a destination. The index lists the storage key,
+ * size and queue time of every queued track; each track is stored under its own key.
+ *
+ * @param {Object} destination The destination
+ * @return {string} The storage key
+ */
+const getQueueIndexKey = (destination) => storageKey('queue:' + destination.id);
+
+/**
+ * Adds a destination to the registry of destinations with a queue
+ *
+ * @param {Object} destination The destination
+ */
+const registerDestination = (destination) => {
+    const registry = templateDataStorage.getItemCopy(DESTINATIONS_STORAGE_KEY) || {};
+    if (!registry[destination.id]) {
+        registry[destination.id] = destination;
+        templateDataStorage.setItemCopy(DESTINATIONS_STORAGE_KEY, registry);
+    }
+};
+
+/**
+ * Returns every destination that has had a queue
+ * @return {Array} The destinations
+ */
+const getRegisteredDestinations = () => {
+    const registry = templateDataStorage.getItemCopy(DESTINATIONS_STORAGE_KEY) || {};
+    const ids = Object.keys(registry);
+    const destinations = [];
+    for (let i = 0; i < ids.length; i++) {
+        destinations.push(registry[ids[i]]);
+    }
+    return destinations;
+};
+
+/**
+ * Returns the size of the tracks queued for every destination
+ * @return {number} The stored bytes
+ */
+const getStoredQueueBytes = () => {
+    const destinations = getRegisteredDestinations();
+    let bytes = 0;
+    for (let i = 0; i < destinations.length; i++) {
+        const index = templateDataStorage.getItemCopy(getQueueIndexKey(destinations[i])) || [];
+        for (let j = 0; j < index.length; j++) {
+            bytes += index[j].bytes;
+        }
+    }
+    return bytes;
+};
+
+/**
+ * Stores a raw track under its own key and appends it to the queue index of its
+ * destination. Tracks are never rewritten once stored, so a request appending a
+ * track can't overwrite or resend the tracks of a concurrent request.
+ *
+ * @param {Object} destination The destination
+ * @param {Object} rawTrack The raw track
+ * @return {Array|null} The updated queue index, or null if the storage cap, shared with
+ *   the retry store, is reached
+ */
+const appendToQueue = (destination, rawTrack) => {
+    const bytes = getSerializedSize(rawTrack);
+    const storedBytes = getStoredQueueBytes() + getStoredRetryBytes();
+    if (storedBytes + bytes > OPTIONS.MAX_QUEUE_BYTES) {
+        log(true, "ERROR: Queue storage full, track dropped", {
+            provider: rawTrack.provider,
+            stored_bytes: storedBytes,
+            track_bytes: bytes,
+            max_bytes: OPTIONS.MAX_QUEUE_BYTES
+        });
+        incrementCounter('queue_full');
+        return null;
+    }
+
+    const currentTime = getTimestampMillis();
+    const indexKey = getQueueIndexKey(destination);
+    const trackKey = indexKey + ':' + currentTime + '-' + generateRandom(0, 1000000000);
+    templateDataStorage.setItemCopy(trackKey, rawTrack);
+
+    // Read and write back the index right away so no other request interleaves
+    const index = templateDataStorage.getItemCopy(indexKey) || [];
+    if (!index.length) {
+        registerDestination(destination);
+    }
+    index.push({ key: trackKey, bytes: bytes, t: currentTime });
+    templateDataStorage.setItemCopy(indexKey, index);
+    return index;
+};
+
+/**
+ * Claims every track queued for a destination. The index is swapped for an empty one
+ * before the tracks are read, so tracks queued meanwhile start the next batch, and each
+ * track is removed as it's read, so it can only be claimed once.
+ *
+ * @param {Object} destination The destination
+ * @return {Array} The claimed raw tracks, oldest first
+ */
+const claimQueue = (destination) => {
+    const indexKey = getQueueIndexKey(destination);
+    const index = templateDataStorage.getItemCopy(indexKey) || [];
+    if (!index.length) {
+        return [];
+    }
+    templateDataStorage.setItemCopy(indexKey, []);
+
+    const tracks = [];
+    for (let i = 0; i < index.length; i++) {
+        const track = templateDataStorage.getItemCopy(index[i].key);
+        // A missing track was already claimed by another flush
+        if (track) {
+            templateDataStorage.removeItem(index[i].key);
+            tracks.push(track);
+        }
+    }
+    return tracks;
+};
+
+/**
+ * Adds a raw track to the queue of its destination for batching
+ *
+ * @param {Object} rawTrack The raw track to add to the queue
+ */
+const addToQueue = (rawTrack) => {
+    // Apply the consent policy of the track's consent outcome
+    const consentPolicy = OPTIONS.CONSENT_POLICIES[rawTrack.consent.outcome] || 'capture';
+    if (consentPolicy === 'skip') {
+        log(false, "CONSENT - Track skipped due to consent (" + rawTrack.consent.outcome + ")", {
+            provider: rawTrack.provider
+        });
+        incrementCounter('consent_skipped');
+        return;
+    }
+
+    // Tracks of a debug request skip the filters, schema counting and sampling, and are
+    // sent right away
+    if (isDebugRequest) {
+        rawTrack.debug = true;
+    }
+
+    // Apply the first matching filter rule, which can exclude the track or override its sampling rate
+    let samplingRate = OPTIONS.SAMPLING_RATE;
+    const filterRule = isDebugRequest ? null : findFilterRule(rawTrack);
+    if (filterRule) {
+        if (filterRule.action === 'exclude') {
+            log(false, "FILTER - Track excluded by rule " + filterRule.index, {
+                provider: rawTrack.provider,
+                match_on: filterRule.match_on
+            });
+            incrementCounter('filtered_out');
+            return;
+        }
+
+        samplingRate = filterRule.action === 'sample' ? filterRule.sampling_rate : 1;
+        rawTrack.filter_rule = {
+            "index": filterRule.index,
+            "action": filterRule.action
+        };
+        rawTrack.sampling_rate = samplingRate;
+    }
+
+    // Each destination keeps its own queue and batch age
+    const destination = getDestination(rawTrack);
+    if (!destination) {
+        log(false, "ROUTE - Track dropped, its route has a non-https endpoint", {
+            provider: rawTrack.provider
+        });
+        incrementCounter('route_rejected');
+        return;
+    }
+    if (destination.route) {
+        rawTrack.route = destination.route;
+    }
+
+    // In schema fingerprint mode, tracks with a known shape are only counted. New and
+    // expired shapes are sent in full, bypassing sampling so no schema drift is missed.
+    // A shape is only known once a track with it was queued, see below.
+    let isNewSchema = false;
+    if (OPTIONS.SCHEMA_MODE && !isDebugRequest) {
+        rawTrack.schema_fingerprint = getSchemaFingerprint(rawTrack);
+        if (countKnownSchema(rawTrack, destination)) {
+            log(false, "SCHEMA - Track counted, known fingerprint " + rawTrack.schema_fingerprint);
+            incrementCounter('schema_counted');
+            return;
+        }
+        isNewSchema = true;
+    }
+
+    // Apply sampling - select 1/samplingRate of events, users or sessions
+    if (!isNewSchema && !isDebugRequest && !isSampledIn(samplingRate)) {
+        log(false, "SAMPLING - Track skipped due to sampling (rate: 1/" + samplingRate +
+            ", key: " + OPTIONS.SAMPLING_MODE + ")");
+        incrementCounter('sampled_out');
+        return;
+    }
+    
+    // Note: Duplicate detection is handled in processGTMEvent and the message listener
+
+    // Check the track against the local validation rules, before redaction changes its values
+    if (OPTIONS.VALIDATION_RULES.length) {
+        const violations = validateRawTrack(rawTrack);
+        if (violations.length) {
+            rawTrack.violations = violations;
+            // Violations are logged in preview and for debug requests, never in production
+            const containerVersion = getContainerVersion();
+            const isPreview = isDebugRequest ||
+                !!(containerVersion && (containerVersion.previewMode || containerVersion.debugMode));
+            if (OPTIONS.LOG_VIOLATIONS && isPreview) {
+                log(true, "VALIDATION - " + violations.length + " violation(s) in " +
+                    rawTrack.provider + " track of event " + getEventData('event_name'), violations);
+            }
+        } else if (OPTIONS.VALIDATION_MODE === 'violations_only' && !isDebugRequest) {
+            log(false, "VALIDATION - Track skipped, no violations");
+            incrementCounter('valid_skipped');
+            return;
+        }
+    }
+
+    // Strip credentials and PII before the track is stored or leaves the container
+    redactRawTrack(rawTrack, DEBUG_TRIGGER_REDACTION);
+    redactRawTrack(rawTrack, SECRET_REDACTION);
+    redactRawTrack(rawTrack, CONFIGURED_REDACTION);
+    if (consentPolicy === 'redact') {
+        redactRawTrack(rawTrack, IDENTIFIER_REDACTION);
+        rawTrack.consent.identifiers_redacted = true;
+    }
+
+    // Keep oversized tracks within the batch size limit
+    if (OPTIONS.MINIMAL_CONTEXT) {
+        minimizeContext(rawTrack);
+    }
+    truncateRawTrack(rawTrack);
+
+    const queue = appendToQueue(destination, rawTrack);
+    if (!queue) {
+        return;
+    }
+    incrementCounter('captured');
+    if (isNewSchema) {
+        recordSchema(rawTrack, destination);
+    }
+    const queueStartTime = queue[0].t;
+
+    log(false, "QUEUE DEBUG - Added track for provider:", rawTrack.provider);
+    log(false, "QUEUE DEBUG - Queue size now:", queue.length);
+
+    // Check if we should send the batch
+    const currentTime = getTimestampMillis();
+    const timeElapsed = currentTime - queueStartTime;
+    
+    log(false, "QUEUE DEBUG - Time elapsed", {
+        elapsed: timeElapsed,
+        max: OPTIONS.MAX_BATCH_AGE_MS
+    });
+
+    const sendDueToSize = queue.length >= OPTIONS.MAX_BATCH_SIZE;
+    const sendDueToTime = timeElapsed >= OPTIONS.MAX_BATCH_AGE_MS && queue.length > 0;
+    const sendDueToDebug = !!rawTrack.debug;
+
+    log(false, "QUEUE DEBUG - Send status", {
+        sendDueToSize: sendDueToSize,
+        sendDueToTime: sendDueToTime,
+        sendDueToDebug: sendDueToDebug,
+        queue_size: queue.length,
+        max_batch_size: OPTIONS.MAX_BATCH_SIZE
+    });
+
+    // Only send if we have something to send and we meet the criteria
+    if ((sendDueToSize || sendDueToTime || sendDueToDebug) && queue.length > 0) {
+        log(false, "QUEUE DEBUG - Sending batch due to " + 
+            (sendDueToDebug ? "debug override" : (sendDueToSize ? "size threshold" : "time threshold")), {
+            queue_size: queue.length
+        });
+        
+        sendBatch(destination);
+    } else {
+        log(false, "QUEUE DEBUG - Batch not sent yet. Waiting for more tracks or timeout.");
+    }
+};
+
+/**
+ * Sends a batch of raw tracks to the Trackingplan API
+ *
+ * @param {Object} destination The destination whose queue is claimed and sent
+ */
+const sendBatch = (destination) => {
+    const queue = claimQueue(destination);
+
+    // Don't send if queue is empty
+    if (!queue.length) {
+        log(false, "QUEUE DEBUG - Empty queue, nothing to send");
+        return;
+    }
+
+    // Log what we're about to send
+    log(false, "QUEUE DEBUG - Sending batch", {
+        tp_id: destination.tp_id,
+        batch_size: queue.length
+    });
+
+    // Tracks from different environments never share a payload, and payloads are split
+    // to stay under the maximum batch size. The telemetry counters cover every destination
+    // of the tag, so only the first payload to the tag's own tpId reports them, and they
+    // are neither counted twice nor leaked to routed workspaces.
+    const groups = groupByEnvironment(queue);
+    const batchPayloads = [];
+    const reportsTelemetry = destination.id === createDestination(OPTIONS.TP_ID, OPTIONS.ENDPOINT, null).id;
+    for (let i = 0; i < groups.length; i++) {
+        const chunks = splitByBytes(groups[i].requests, OPTIONS.MAX_BATCH_BYTES - BATCH_ENVELOPE_BYTES);
+        for (let j = 0; j < chunks.length; j++) {
+            const batchPayload = buildBatchPayload(destination, chunks[j], groups[i].environment,
+                reportsTelemetry && !batchPayloads.length);
+            log(false, "BATCH PAYLOAD TO SEND", batchPayload);
+            batchPayloads.push(batchPayload);
+        }
+    }
+
+    // Send the batches to the webhook (fire and forget)
+    for (let i = 0; i < batchPayloads.length; i++) {
+        postBatch(destination, batchPayloads[i], null);
+    }
+};
+
+/**
+ * Splits raw tracks by environment, keeping their order
+ *
+ * @param {Array} queue The raw tracks
+ * @return {Array} Groups of { environment, requests }, in order of first appearance
+ */
+const groupByEnvironment = (queue) => {
+    const groups = [];
+    const groupIndex = {};
+    for (let i = 0; i < queue.length; i++) {
+        const environment = queue[i].environment || OPTIONS.ENVIRONMENT;
+        if (groupIndex[environment] === undefined) {
+            groupIndex[environment] = groups.length;
+            groups.push({ environment: environment, requests: [] });
+        }
+        groups[groupIndex[environment]].requests.push(queue[i]);
+    }
+    return groups;
+};
+
+/**
+ * Summarizes the fan-out of each event in a batch: which providers its tracks reached.
+ * The tracks of an event can be split across batches, so the summaries of every batch
+ * with the same correlation id add up.
+ *
+ * @param {Array} requests The raw tracks of the batch
+ * @return {Array} One { correlation_id, event_name, track_count, providers } entry per event
+ */
+const summarizeFanout = (requests) => {
+    const summaries = [];
+    const summaryIndex = {};
+    for (let i = 0; i < requests.length; i++) {
+        const track = requests[i];
+        const correlationId = track.correlation_id;
+        if (!correlationId) {
+            continue;
+        }
+
+        if (summaryIndex[correlationId] === undefined) {
+            summaryIndex[correlationId] = summaries.length;
+            summaries.push({
+                correlation_id: correlationId,
+                event_name: track.event_name,
+                track_count: 0,
+                providers: {}
+            });
+        }
+
+        const summary = summaries[summaryIndex[correlationId]];
+        summary.track_count++;
+        summary.providers[track.provider] = (summary.providers[track.provider] || 0) + 1;
+    }
+    return summaries;
+};
+
+/**
+ * Builds the payload of a batch of raw tracks
+ *
+ * @param {Object} destination The destination of the batch
+ * @param {Array} requests The raw tracks of the batch, all from the same environment
+ * @param {string} environment The environment of the tracks
+ * @param {boolean} withTelemetry If true, report the telemetry counters in the batch
+ * @return {Object} The batch payload
+ */
+const buildBatchPayload = (destination, requests, environment, withTelemetry) => {
+    // Get container info to include as tags
+    const containerInfo = getContainerVersion();
+
+    // Copy the custom tags into a fresh object so that attaching the batch-level
+    // gtm_container_version below never mutates the shared OPTIONS.CUSTOM_TAGS
+    // reference that every per-track "tags" field points at.
+    const tags = JSON.parse(JSON.stringify(OPTIONS.CUSTOM_TAGS));
+    
+    if (containerInfo) {
+        // Add a special tag for gtm_container_version
+        tags.gtm_container_version = containerInfo.version;
+    }
+
+    // Report the telemetry counters and the result of the previous send
+    const lastSend = templateDataStorage.getItemCopy(LAST_SEND_STORAGE_KEY);
+    const telemetry = getTelemetryCounters();
+    telemetry.last_send_latency_ms = lastSend ? lastSend.latency_ms : null;
+    telemetry.last_send_status_code = lastSend ? lastSend.status_code : null;
+
+    return {
+        requests: requests,
+        common: {
+            context: { 
+                ssgtm_container_version: containerInfo,
+                // Tracks per provider of each event in the batch, by correlation id
+                event_fanout: summarizeFanout(requests),
+            },
+            // A key that identifies the customer
+            tp_id: destination.tp_id,
+            // An optional alias that identifies the source
+            source_alias: "SSGTM",
+            // An optional environment. Can be "PRODUCTION", "TESTING" or a custom label
+            environment: environment,
+            // The used sdk
+            sdk: "ssgtm",
+            // The SDK version
+            sdk_version: OPTIONS.VERSION,
+            // The rate at which the tracks have been sampled, unless a track overrides it
+            sampling_rate: OPTIONS.SAMPLING_RATE,
+            // What sampling is keyed on: "random", "session", "client_id" or an event data path
+            sampling_key: OPTIONS.SAMPLING_MODE === 'event_data_path' ? OPTIONS.SAMPLING_KEY_PATH : OPTIONS.SAMPLING_MODE,
+            // Container info tags
+            tags: tags,
+            // Source ("template", "remote" or "stale_cache") and age of the configuration in use
+            remote_config: remoteConfigStatus,
+            // Self-telemetry counters since the last successful send
+            telemetry: withTelemetry ? telemetry : null,
+            // Tracks counted per known fingerprint in schema fingerprint mode, if any
+            schema_counts: null
+        }
+    };
+};
+
+/**
+ * Builds the headers of a batch upload: the custom auth headers and, when signing is
+ * enabled, an HMAC-SHA256 signature of "<timestamp>.<nonce>.<body>" with the key
+ * OPTIONS.SIGNING_KEY_ID of the server container credentials
+ *
+ * @param {string} body The serialized batch payload
+ * @return {Object} The request headers
+ */
+const getUploadHeaders = (body) => {
+    const headers = JSON.parse(JSON.stringify(OPTIONS.AUTH_HEADERS));
+    headers['Content-Type'] = 'application/json';
+
+    if (OPTIONS.SIGNING_KEY_ID) {
+        const timestamp = makeString(getTimestampMillis());
+        // A new nonce per attempt, so a captured request can't be replayed
+        const nonce = generateUUID();
+        headers['X-TP-Timestamp'] = timestamp;
+        headers['X-TP-Nonce'] = nonce;
+        headers['X-TP-Key-Id'] = OPTIONS.SIGNING_KEY_ID;
+        headers['X-TP-Signature'] = hmacSha256(timestamp + '.' + nonce + '.' + body, OPTIONS.SIGNING_KEY_ID, {
+            outputEncoding: 'hex'
+        });
+    }
+    return headers;
+};
+
+/**
+ * Posts a batch payload to the Trackingplan API. Failed and non-2xx batches
+ * are handed over to the retry store instead of being dropped.
+ *
+ * @param {Object} destination The destination of the batch
+ * @param {Object} batchPayload The batch payload to send
+ * @param {Object} retryEntry The retry store entry when this is a retry, null otherwise
+ */
+const postBatch = (destination, batchPayload, retryEntry) => {
+    const batchSize = batchPayload.requests.length;
+
+    if (!isSecureEndpoint(destination.endpoint)) {
+        deadLetter({
+            destination: destination,
+            payload: batchPayload,
+            attempts: retryEntry ? retryEntry.attempts : 0,
+            last_error: 'insecure endpoint'
+        }, "endpoint " + destination.endpoint + " is not https");
+        return;
+    }
+
+    const body = JSON.stringify(batchPayload);
+    const startTime = getTimestampMillis();
+
+    sendHttpRequest(destination.webhook_url, {
+        method: 'POST',
+        headers: getUploadHeaders(body)
+    }, body)
+        .then((response) => {
+            const sent = response.statusCode >= 200 && response.statusCode < 300;
+            recordSendResult(batchSize, response.statusCode, null, getTimestampMillis() - startTime);
+            incrementCounter(sent ? 'sent' : 'failed', batchSize);
+
+            if (sent) {
+                // Retried batches carry no counters: they were reported by a later batch
+                if (batchPayload.common.telemetry) {
+                    resetCounters(batchPayload.common.telemetry);
+                }
+                if (batchPayload.common.schema_counts) {
+                    resetSchemaCounts(destination, batchPayload.common.environment, batchPayload.common.schema_counts);
+                }
+
+                log(false, "BATCH SENT", {
+                    endpoint: destination.webhook_url,
+                    payload_size: batchSize,
+                    response: response.statusCode,
+                    attempts: retryEntry ? retryEntry.attempts + 1 : 1
+                });
+                return;
+            }
+
+            log(true, "ERROR: Batch rejected", {
+                endpoint: destination.webhook_url,
+                payload_size: batchSize,
+                response: response.statusCode
+            });
+            scheduleRetry(destination, batchPayload, retryEntry, response.statusCode);
+        })
+        .catch((error) => {
+            log(true, "ERROR: Failed to send batch", error);
+            recordSendResult(batchSize, null, (error && error.reason) || 'failed', getTimestampMillis() - startTime);
+            incrementCounter('failed', batchSize);
+            scheduleRetry(destination, batchPayload, retryEntry, (error && error.reason) || 'failed');
+        });
+};
+
+/**
+ * Storage key of the result of the last batch sent
+ */
+const LAST_SEND_STORAGE_KEY = storageKey('lastSend');
+
+/**
+ * Remembers the result of the last batch sent, reported in the next batch telemetry
+ * and by the status control event
+ *
+ * @param {number} batchSize The number of tracks in the batch
+ * @param {number|null} statusCode The response status code, null if the request failed
+ * @param {string|null} error The error reason, null if a response was received
+ * @param {number} latency The milliseconds the request took
+ */
+const recordSendResult = (batchSize, statusCode, error, latency) => {
+    templateDataStorage.setItemCopy(LAST_SEND_STORAGE_KEY, {
+        ts: getTimestampMillis(),
+        batch_size: batchSize,
+        status_code: statusCode,
+        error: error,
+        latency_ms: latency,
+        ok: !!statusCode && statusCode >= 200 && statusCode < 300
+    });
+};
+
+/**
+ * Constants for the retry store
+ */
+const RETRY_STORAGE_KEY = storageKey('retryQueue');
+const MAX_RETRY_ENTRIES = 20;
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 300000;
+
+/**
+ * Returns the size of the batches in the retry store
+ *
+ * @param {Array} retryQueue The retry store entries, read from storage if not given
+ * @return {number} The stored bytes
+ */
+const getStoredRetryBytes = (retryQueue) => {
+    const entries = retryQueue || templateDataStorage.getItemCopy(RETRY_STORAGE_KEY) || [];
+    let bytes = 0;
+    for (let i = 0; i < entries.length; i++) {
+        bytes += entries[i].bytes || getSerializedSize(entries[i].payload);
+    }
+    return bytes;
+};
+
+/**
+ * Tells whether a failed send is worth retrying. Network errors, timeouts,
+ * 408, 429 and 5xx responses are transient; any other status won't change
+ * by sending the same payload again.
+ *
+ * @param {number|string} lastError The response status code or the error reason
+ * @return {boolean} True if the batch should be retried
+ */
+const isRetryable = (lastError) => {
+    if (typeof lastError !== 'number') return true;
+    return lastError === 408 || lastError === 429 || lastError >= 500;
+};
+
+/**
+ * Logs a summary of a batch that won't be retried anymore and forgets it
+ *
+ * @param {Object} entry The retry store entry being dropped
+ * @param {string} reason Why the batch is dropped
+ */
+const deadLetter = (entry, reason) => {
+    const providers = {};
+    const requests = entry.payload.requests;
+    for (let i = 0; i < requests.length; i++) {
+        providers[requests[i].provider] = (providers[requests[i].provider] || 0) + 1;
+    }
+
+    incrementCounter('dead_lettered', requests.length);
+
+    // Shapes whose only full track was dropped must be sent in full again
+    if (OPTIONS.SCHEMA_MODE) {
+        forgetSchemas(entry.destination || createDestination(OPTIONS.TP_ID, OPTIONS.ENDPOINT, null), requests);
+    }
+
+    log(true, "ERROR: Batch dropped (dead letter)", {
+        reason: reason,
+        tracks: requests.length,
+        providers: providers,
+        attempts: entry.attempts,
+        first_failure_time: entry.first_failure_time,
+        last_error: entry.last_error
+    });
+};
+
+/**
+ * Stores a failed batch in the retry store with an exponential backoff delay.
+ * The store is bounded: the oldest entries are dead-lettered when it is full.
+ *
+ * @param {Object} destination The destination of the batch
+ * @param {Object} batchPayload The batch payload that failed
+ * @param {Object} retryEntry The previous retry store entry, null on the first failure
+ * @param {number|string} lastError The response status code or the error reason
+ */
+const scheduleRetry = (destination, batchPayload, retryEntry, lastError) => {
+    // A batch without tracks only reports counts, which stay in storage for the next batch
+    if (!batchPayload.requests.length) {
+        log(false, "RETRY DEBUG - Batch without tracks not retried");
+        return;
+    }
+
+    const currentTime = getTimestampMillis();
+    const entry = {
+        destination: destination,
+        payload: batchPayload,
+        attempts: retryEntry ? retryEntry.attempts + 1 : 1,
+        first_failure_time: retryEntry ? retryEntry.first_failure_time : currentTime,
+        last_error: lastError
+    };
+
+    // The counters of the failed batch stay in storage and are reported by the next batch
+    batchPayload.common.telemetry = null;
+    batchPayload.common.schema_counts = null;
+
+    if (!isRetryable(lastError)) {
+        deadLetter(entry, "non retryable response");
+        return;
+    }
+
+    if (entry.attempts > OPTIONS.MAX_RETRY_ATTEMPTS) {
+        deadLetter(entry, "max retry attempts reached");
+        return;
+    }
+
+    // Backoff doubles with each attempt: 5s, 10s, 20s... capped to RETRY_MAX_DELAY_MS
+    const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, entry.attempts - 1), RETRY_MAX_DELAY_MS);
+    entry.next_attempt_time = currentTime + delay;
+
+    entry.bytes = getSerializedSize(batchPayload);
+    const retryQueue = templateDataStorage.getItemCopy(RETRY_STORAGE_KEY) || [];
+    retryQueue.push(entry);
+
+    // Keep the store bounded, dropping the oldest batches first. The queued tracks and
+    // the retry store share the maxQueueKilobytes cap.
+    while (retryQueue.length > MAX_RETRY_ENTRIES) {
+        deadLetter(retryQueue.shift(), "retry store full");
+    }
+    const queueBytes = getStoredQueueBytes();
+    while (retryQueue.length && queueBytes + getStoredRetryBytes(retryQueue) > OPTIONS.MAX_QUEUE_BYTES) {
+        deadLetter(retryQueue.shift(), "storage full");
+    }
 
-    // Always get the latest queue before any modifications to ensure we have the most up-to-date state
-    let queue = templateDataStorage.getItemCopy('rawTrackQueue') || [];
-    let queueStartTime = templateDataStorage.getItemCopy('queueStartTime') || 0;
+    templateDataStorage.setItemCopy(RETRY_STORAGE_KEY, retryQueue);
 
-    // Log initial state
-    log(false, "QUEUE DEBUG - Initial State", {
-        queue_length: queue.length,
-        queue_start_time: queueStartTime,
-        current_time: getTimestampMillis()
+    log(false, "RETRY DEBUG - Batch scheduled for retry", {
+        attempts: entry.attempts,
+        delay_ms: delay,
+        retry_store_size: retryQueue.length
     });
+};
 
-    // If queue is empty, set the start time
-    if (queue.length === 0) {
-        queueStartTime = getTimestampMillis();
-        templateDataStorage.setItemCopy('queueStartTime', queueStartTime);
-        log(false, "QUEUE DEBUG - Created new queue with timestamp:", queueStartTime);
+/**
+ * Resends the batches in the retry store whose backoff delay has elapsed
+ *
+ * @param {boolean} force If true, resend every batch regardless of its backoff delay
+ */
+const processRetryQueue = (force) => {
+    const retryQueue = templateDataStorage.getItemCopy(RETRY_STORAGE_KEY) || [];
+    if (!retryQueue.length) {
+        return;
     }
 
-    // Add the raw track to the queue
-    queue.push(rawTrack);
+    const currentTime = getTimestampMillis();
+    const due = [];
+    const pending = [];
+    for (let i = 0; i < retryQueue.length; i++) {
+        if (force || retryQueue[i].next_attempt_time <= currentTime) {
+            due.push(retryQueue[i]);
+        } else {
+            pending.push(retryQueue[i]);
+        }
+    }
 
-    // Store the updated queue immediately to ensure it's saved
-    templateDataStorage.setItemCopy('rawTrackQueue', queue);
+    if (!due.length) {
+        log(false, "RETRY DEBUG - No batch due for retry", {
+            retry_store_size: retryQueue.length
+        });
+        return;
+    }
 
-    log(false, "QUEUE DEBUG - Added track for provider:", rawTrack.provider);
-    log(false, "QUEUE DEBUG - Queue size now:", queue.length);
+    // Remove the due entries before sending so they are only retried once.
+    // A failed retry goes back into the store through scheduleRetry.
+    templateDataStorage.setItemCopy(RETRY_STORAGE_KEY, pending);
 
-    // Check if we should send the batch
-    const currentTime = getTimestampMillis();
-    const timeElapsed = currentTime - queueStartTime;
-    
-    log(false, "QUEUE DEBUG - Time elapsed", {
-        elapsed: timeElapsed,
-        max: OPTIONS.MAX_BATCH_AGE_MS
-    });
+    for (let i = 0; i < due.length; i++) {
+        log(false, "RETRY DEBUG - Retrying batch", {
+            attempt: due[i].attempts + 1,
+            payload_size: due[i].payload.requests.length
+        });
+        // Entries stored before routing was introduced belong to the tag's own destination
+        const destination = due[i].destination || createDestination(OPTIONS.TP_ID, OPTIONS.ENDPOINT, null);
+        postBatch(destination, due[i].payload, due[i]);
+    }
+};
 
-    const sendDueToSize = queue.length >= OPTIONS.MAX_BATCH_SIZE;
-    const sendDueToTime = timeElapsed >= OPTIONS.MAX_BATCH_AGE_MS && queue.length > 0;
+/**
+ * Checks if there's a stale batch that needs to be sent, and resends failed
+ * batches from the retry store.
+ * This handles cases where the container might have been idle for a while
+ */
+const checkStaleQueue = () => {
+    // Retry the failed batches whose backoff has elapsed
+    processRetryQueue();
 
-    log(false, "QUEUE DEBUG - Send status", {
-        sendDueToSize: sendDueToSize,
-        sendDueToTime: sendDueToTime,
-        queue_size: queue.length,
-        max_batch_size: OPTIONS.MAX_BATCH_SIZE
-    });
+    const destinations = getRegisteredDestinations();
+    for (let i = 0; i < destinations.length; i++) {
+        checkStaleDestinationQueue(destinations[i]);
+    }
 
-    // Only send if we have something to send and we meet the criteria
-    if ((sendDueToSize || sendDueToTime) && queue.length > 0) {
-        // Make a copy of the current queue to send
-        // This ensures we're only sending what we intend to send
-        const queueToSend = queue.slice(0);
-        
-        log(false, "QUEUE DEBUG - Sending batch due to " + 
-            (sendDueToSize ? "size threshold" : "time threshold"), {
-            queue_size: queueToSend.length
-        });
-        
-        // Send a copy of the current queue
-        sendBatch(queueToSend);
-    } else {
-        log(false, "QUEUE DEBUG - Batch not sent yet. Waiting for more tracks or timeout.");
+    // Send the tracks counted by schema fingerprint mode periodically
+    if (OPTIONS.SCHEMA_MODE) {
+        sendSchemaCounts(false);
     }
 };
 
 /**
- * Sends a batch of raw tracks to the Trackingplan API
+ * Sends the queue of a destination if its oldest track is older than the maximum batch age
  *
- * @param {Array} queueToSend The queue of raw tracks to send
+ * @param {Object} destination The destination
  */
-const sendBatch = (queueToSend) => {
-    // If queue is not provided, get the latest state
-    let queue = queueToSend;
-    if (!queue) {
-        queue = templateDataStorage.getItemCopy('rawTrackQueue') || [];
-    }
+const checkStaleDestinationQueue = (destination) => {
+    const queue = templateDataStorage.getItemCopy(getQueueIndexKey(destination)) || [];
 
-    // Don't send if queue is empty
-    if (!queue.length) {
-        log(false, "QUEUE DEBUG - Empty queue, nothing to send");
+    if (queue.length === 0) {
+        log(false, "QUEUE DEBUG - No stale queue to process");
         return;
     }
 
-    // Store the length of the queue we're sending
-    const sentQueueLength = queue.length;
-    
-    // Log what we're about to send
-    log(false, "QUEUE DEBUG - Sending batch", {
-        batch_size: sentQueueLength
-    });
+    const currentTime = getTimestampMillis();
+    const timeElapsed = currentTime - queue[0].t;
 
-    // Get container info to include as tags
-    const containerInfo = getContainerVersion();
+    log(false, "QUEUE DEBUG - Checking for stale queue", {
+        tp_id: destination.tp_id,
+        queue_size: queue.length,
+        time_elapsed: timeElapsed,
+        max_age: OPTIONS.MAX_BATCH_AGE_MS,
+        is_stale: timeElapsed >= OPTIONS.MAX_BATCH_AGE_MS
+    });
 
-    // Copy the custom tags into a fresh object so that attaching the batch-level
-    // gtm_container_version below never mutates the shared OPTIONS.CUSTOM_TAGS
-    // reference that every per-track "tags" field points at.
-    const tags = JSON.parse(JSON.stringify(OPTIONS.CUSTOM_TAGS));
-    
-    if (containerInfo) {
-        // Add a special tag for gtm_container_version
-        tags.gtm_container_version = containerInfo.version;
+    if (timeElapsed >= OPTIONS.MAX_BATCH_AGE_MS) {
+        log(false, "QUEUE DEBUG - Found stale queue, sending batch");
+        sendBatch(destination);
     }
+};
 
-    const batchPayload = {
-        requests: queue,
-        common: {
-            context: { 
-                ssgtm_container_version: containerInfo,
-            },
-            // A key that identifies the customer
-            tp_id: OPTIONS.TP_ID,
-            // An optional alias that identifies the source
-            source_alias: "SSGTM",
-            // An optional environment. Can be "PRODUCTION" or "TESTING"
-            environment: OPTIONS.ENVIRONMENT,
-            // The used sdk
-            sdk: "ssgtm",
-            // The SDK version
-            sdk_version: OPTIONS.VERSION,
-            // The rate at which this specific track has been sampled
-            sampling_rate: OPTIONS.SAMPLING_RATE,
-            // Container info tags
-            tags: tags,
-            // Only include session_id if USE_SESSIONS is true
-            session_id: OPTIONS.USE_SESSIONS ? updateAndGetSessionId() : null
-        }
-    };
 
-    log(false, "BATCH PAYLOAD TO SEND", batchPayload);
+/**
+ * Storage key of the remote configuration cache, and the minimum time between two
+ * fetches so an unreachable config endpoint isn't requested on every event
+ */
+const REMOTE_CONFIG_STORAGE_KEY = storageKey('remoteConfig');
+const REMOTE_CONFIG_RETRY_MS = 60000;
+const REMOTE_CONFIG_TIMEOUT_MS = 2000;
 
-    // Clear the queue immediately after preparing the payload
-    // Get the current queue state
-    let currentQueue = templateDataStorage.getItemCopy('rawTrackQueue') || [];
-    
-    // If the current queue is longer than what we sent, it means new items were added
-    // We only remove the items we sent, keeping the new ones
-    if (currentQueue.length > sentQueueLength) {
-        // Only remove the number of items we processed
-        // This assumes FIFO queue behavior where older items are at the beginning
-        let updatedQueue = currentQueue.slice(sentQueueLength);
-        templateDataStorage.setItemCopy('rawTrackQueue', updatedQueue);
-        
-        log(false, "QUEUE DEBUG - Queue partially cleared", {
-            processed_items: sentQueueLength,
-            remaining_items: updatedQueue.length
-        });
-    } else {
-        // If current queue size <= sent queue size, clear everything
-        templateDataStorage.setItemCopy('rawTrackQueue', []);
-        // Reset queue start time
-        templateDataStorage.setItemCopy('queueStartTime', 0);
-        
-        log(false, "QUEUE DEBUG - Queue fully cleared", {
-            cleared_items: currentQueue.length
-        });
+/**
+ * Source and age of the configuration in use, reported in every batch
+ */
+let remoteConfigStatus = { source: 'template', age_ms: null };
+
+/**
+ * Overrides the template options with the cached remote configuration. Only the
+ * known keys with a valid value are applied; everything else keeps the template value.
+ *
+ * @param {Object} config The remote configuration
+ */
+const applyRemoteConfig = (config) => {
+    if (config.enabled === false) {
+        OPTIONS.ENABLED = false;
+    }
+    if (makeInteger(config.sampling_rate) > 0) {
+        OPTIONS.SAMPLING_RATE = makeInteger(config.sampling_rate);
+    }
+    if (getType(config.filter_rules) === 'array') {
+        OPTIONS.FILTER_RULES = parseFilterRules(config.filter_rules);
     }
+    if (makeInteger(config.max_batch_size) > 0) {
+        OPTIONS.MAX_BATCH_SIZE = makeInteger(config.max_batch_size);
+    }
+    if (makeInteger(config.max_batch_age_seconds) > 0) {
+        OPTIONS.MAX_BATCH_AGE_MS = makeInteger(config.max_batch_age_seconds) * 1000;
+    }
+    if (makeInteger(config.max_batch_kilobytes) > 0) {
+        OPTIONS.MAX_BATCH_BYTES = makeInteger(config.max_batch_kilobytes) * 1024;
+    }
+};
 
-    // Send the batch to the webhook (fire and forget)
-    sendHttpRequest(OPTIONS.WEBHOOK_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-    }, JSON.stringify(batchPayload))
+/**
+ * Fetches the remote configuration of the tag's Trackingplan ID into the cache. The
+ * request is never awaited: the fetched configuration applies from the next event on.
+ */
+const fetchRemoteConfig = () => {
+    const url = OPTIONS.ENDPOINT + (OPTIONS.ENDPOINT.charAt(OPTIONS.ENDPOINT.length - 1) === '/' ? '' : '/') +
+        'config/' + OPTIONS.TP_ID;
+
+    sendHttpRequest(url, {
+        method: 'GET',
+        timeout: REMOTE_CONFIG_TIMEOUT_MS
+    })
         .then((response) => {
-            // Just log the response
-            log(true, "BATCH SENT", {
-                endpoint: OPTIONS.WEBHOOK_URL,
-                payload_size: sentQueueLength,
-                response: response.statusCode
+            const config = response.statusCode === 200 ? JSON.parse(response.body || '') : undefined;
+            if (getType(config) !== 'object') {
+                log(false, "REMOTE CONFIG - No valid configuration received", {
+                    status_code: response.statusCode
+                });
+                return;
+            }
+
+            templateDataStorage.setItemCopy(REMOTE_CONFIG_STORAGE_KEY, {
+                config: config,
+                fetched_at: getTimestampMillis(),
+                last_attempt: getTimestampMillis()
             });
+            log(false, "REMOTE CONFIG - Configuration updated", config);
         })
         .catch((error) => {
-            log(true, "ERROR: Failed to send batch", error);
-            // We don't retry since we already cleared the queue
+            log(false, "REMOTE CONFIG - Fetch failed", error);
         });
 };
 
 /**
- * Checks if there's a stale batch that needs to be sent
- * This handles cases where the container might have been idle for a while
+ * Applies the cached remote configuration and refreshes the cache once its TTL has
+ * elapsed. Without a cached configuration the template values are used.
  */
-const checkStaleQueue = () => {
-    const queue = templateDataStorage.getItemCopy('rawTrackQueue') || [];
-    const queueStartTime = templateDataStorage.getItemCopy('queueStartTime') || 0;
+const loadRemoteConfig = () => {
+    const currentTime = getTimestampMillis();
+    const cache = templateDataStorage.getItemCopy(REMOTE_CONFIG_STORAGE_KEY) || {};
 
-    if (queue.length === 0 || queueStartTime === 0) {
-        log(false, "QUEUE DEBUG - No stale queue to process");
-        return;
+    if (cache.config) {
+        applyRemoteConfig(cache.config);
+        remoteConfigStatus = {
+            source: currentTime - cache.fetched_at < OPTIONS.REMOTE_CONFIG_TTL_MS ? 'remote' : 'stale_cache',
+            age_ms: currentTime - cache.fetched_at
+        };
+    }
+
+    const isExpired = !cache.fetched_at || currentTime - cache.fetched_at >= OPTIONS.REMOTE_CONFIG_TTL_MS;
+    const canRetry = !cache.last_attempt || currentTime - cache.last_attempt >= REMOTE_CONFIG_RETRY_MS;
+    if (isExpired && canRetry) {
+        // Record the attempt first, so concurrent events don't fetch it too
+        cache.last_attempt = currentTime;
+        templateDataStorage.setItemCopy(REMOTE_CONFIG_STORAGE_KEY, cache);
+        fetchRemoteConfig();
     }
+};
+
+/**
+ * Events run by the companion Trackingplan client to control the queue
+ */
+const FLUSH_EVENT_NAME = 'trackingplan_flush';
+const STATUS_EVENT_NAME = 'trackingplan_status';
 
+/**
+ * Summarizes the state of the queue and the retry store
+ * @return {Object} The queue status
+ */
+const getQueueStatus = () => {
+    const destinations = getRegisteredDestinations();
+    const retryQueue = templateDataStorage.getItemCopy(RETRY_STORAGE_KEY) || [];
     const currentTime = getTimestampMillis();
-    const timeElapsed = currentTime - queueStartTime;
 
-    log(false, "QUEUE DEBUG - Checking for stale queue", {
-        queue_size: queue.length,
-        time_elapsed: timeElapsed,
-        max_age: OPTIONS.MAX_BATCH_AGE_MS,
-        is_stale: timeElapsed >= OPTIONS.MAX_BATCH_AGE_MS
-    });
+    let queueLength = 0;
+    let oldestTrackAge = 0;
+    const destinationStatus = [];
+    for (let i = 0; i < destinations.length; i++) {
+        const queue = templateDataStorage.getItemCopy(getQueueIndexKey(destinations[i])) || [];
+        const trackAge = queue.length ? currentTime - queue[0].t : 0;
 
-    if (timeElapsed >= OPTIONS.MAX_BATCH_AGE_MS) {
-        log(false, "QUEUE DEBUG - Found stale queue, sending batch");
-        
-        // Make a copy of the current queue to send
-        const queueToSend = queue.slice(0);
-        
-        // Send a copy of the current queue
-        sendBatch(queueToSend);
+        queueLength += queue.length;
+        oldestTrackAge = Math.max(oldestTrackAge, trackAge);
+        destinationStatus.push({
+            tp_id: destinations[i].tp_id,
+            endpoint: destinations[i].endpoint,
+            queue_length: queue.length,
+            oldest_track_age_ms: trackAge
+        });
+    }
+
+    let retryTracks = 0;
+    for (let i = 0; i < retryQueue.length; i++) {
+        retryTracks += retryQueue[i].payload.requests.length;
+    }
+
+    return {
+        tp_id: OPTIONS.TP_ID,
+        sdk_version: OPTIONS.VERSION,
+        queue_length: queueLength,
+        oldest_track_age_ms: oldestTrackAge,
+        queue_bytes: getStoredQueueBytes(),
+        retry_store_bytes: getStoredRetryBytes(retryQueue),
+        destinations: destinationStatus,
+        retry_store_size: retryQueue.length,
+        retry_store_tracks: retryTracks,
+        last_send: templateDataStorage.getItemCopy(LAST_SEND_STORAGE_KEY) || null,
+        counters: getTelemetryCounters()
+    };
+};
+
+/**
+ * Handles the flush and status events run by the companion client. A flush sends the
+ * pending queue and every batch in the retry store right away. Both reply with the
+ * queue status in a "tp_status" message.
+ *
+ * @param {string} eventName FLUSH_EVENT_NAME or STATUS_EVENT_NAME
+ */
+const handleControlEvent = (eventName) => {
+    if (eventName === FLUSH_EVENT_NAME) {
+        log(false, "QUEUE DEBUG - Flush requested");
+        const destinations = getRegisteredDestinations();
+        for (let i = 0; i < destinations.length; i++) {
+            sendBatch(destinations[i]);
+        }
+        sendSchemaCounts(true);
+        processRetryQueue(true);
     }
+
+    const status = getQueueStatus();
+    log(false, "QUEUE STATUS", status);
+    sendMessage('tp_status', status);
 };
 
+/**
+ * Storage key of the flag telling that the rejected routes were already reported
+ */
+const REJECTED_ROUTES_LOGGED_STORAGE_KEY = storageKey('rejectedRoutesLogged');
 
 // Initialize the template
 const initialize = () => {
+    // Never capture anything that would be sent in clear text
+    if (!isSecureEndpoint(OPTIONS.ENDPOINT)) {
+        log(true, "ERROR: The Trackingplan endpoint must be an https URL, nothing is captured", {
+            endpoint: OPTIONS.ENDPOINT
+        });
+        data.gtmOnFailure();
+        return;
+    }
+
+    // Check the signing key before any track is claimed: signing throws when the key is not
+    // allowed by the template permissions or missing from the server container credentials
+    if (OPTIONS.SIGNING_KEY_ID) {
+        if (!queryPermission('use_custom_private_keys', OPTIONS.SIGNING_KEY_ID)) {
+            log(true, "ERROR: The signing key ID is not allowed by the \"Uses custom private keys\" permission, nothing is captured", {
+                signing_key_id: OPTIONS.SIGNING_KEY_ID
+            });
+            data.gtmOnFailure();
+            return;
+        }
+        // A key missing from the credentials throws here, failing the tag with its queue intact
+        hmacSha256('trackingplan', OPTIONS.SIGNING_KEY_ID, { outputEncoding: 'hex' });
+    }
+
+    // Routes to non-https endpoints are rejected at startup, reported once per instance
+    if (!templateDataStorage.getItemCopy(REJECTED_ROUTES_LOGGED_STORAGE_KEY)) {
+        for (let i = 0; i < OPTIONS.ROUTES.length; i++) {
+            if (OPTIONS.ROUTES[i].rejected) {
+                log(true, "ERROR: Route endpoint must be an https URL, its tracks are dropped", {
+                    route: OPTIONS.ROUTES[i].index,
+                    endpoint: OPTIONS.ROUTES[i].endpoint
+                });
+            }
+        }
+        templateDataStorage.setItemCopy(REJECTED_ROUTES_LOGGED_STORAGE_KEY, true);
+    }
+
+    // Apply the remote configuration, if enabled, before anything reads the options
+    if (OPTIONS.REMOTE_CONFIG) {
+        loadRemoteConfig();
+    }
+
+    // A request with the debug trigger gets verbose logs, whatever extraLog says
+    isDebugRequest = hasDebugTrigger();
+    if (isDebugRequest) {
+        OPTIONS.EXTRA_LOG = true;
+        log(false, "DEBUG OVERRIDE - Debug trigger matched, tracks of this request bypass sampling and filters");
+    }
+
+    // Control events of the companion client are not captured
+    const eventName = getEventData('event_name');
+    if (eventName === FLUSH_EVENT_NAME || eventName === STATUS_EVENT_NAME) {
+        handleControlEvent(eventName);
+        data.gtmOnSuccess();
+        return;
+    }
+
+    // The remote kill switch stops capturing and sending until it's turned back on
+    if (!OPTIONS.ENABLED) {
+        log(false, "REMOTE CONFIG - Capture disabled");
+        data.gtmOnSuccess();
+        return;
+    }
+
+    // Resolve the session while the response can still set its cookie
+    if (OPTIONS.USE_SESSIONS) {
+        getSession();
+    }
+
     // Process the GTM event only if captureGTM is enabled
     if (OPTIONS.CAPTURE_GTM) {
         processGTMEvent();
@@ -794,6 +4746,11 @@ const initialize = () => {
     // Set up the message listener
     setupMessageListener();
 
+    // Report the tag outcomes of this event only if monitorTags is enabled
+    if (OPTIONS.MONITOR_TAGS) {
+        setupTagOutcomeMonitor();
+    }
+
     // Check for stale batches
     checkStaleQueue();
 
@@ -819,7 +4776,7 @@ ___SERVER_PERMISSIONS___
           "key": "environments",
           "value": {
             "type": 1,
-            "string": "debug"
+            "string": "all"
           }
         }
       ]
@@ -870,6 +4827,29 @@ ___SERVER_PERMISSIONS___
                     "string": "listen"
                   }
                 ]
+              },
+              {
+                "type": 3,
+                "mapKey": [
+                  {
+                    "type": 1,
+                    "string": "type"
+                  },
+                  {
+                    "type": 1,
+                    "string": "action"
+                  }
+                ],
+                "mapValue": [
+                  {
+                    "type": 1,
+                    "string": "tp_status"
+                  },
+                  {
+                    "type": 1,
+                    "string": "send"
+                  }
+                ]
               }
             ]
           }
@@ -937,6 +4917,20 @@ ___SERVER_PERMISSIONS___
             "boolean": true
           }
         },
+        {
+          "key": "remoteAddressAllowed",
+          "value": {
+            "type": 8,
+            "boolean": true
+          }
+        },
+        {
+          "key": "requestMethodAllowed",
+          "value": {
+            "type": 8,
+            "boolean": true
+          }
+        },
         {
           "key": "queryParameterAccess",
           "value": {
@@ -996,6 +4990,42 @@ ___SERVER_PERMISSIONS___
     },
     "isRequired": true
   },
+  {
+    "instance": {
+      "key": {
+        "publicId": "use_custom_private_keys",
+        "versionId": "1"
+      },
+      "param": [
+        {
+          "key": "keyIds",
+          "value": {
+            "type": 2,
+            "listItem": [
+              {
+                "type": 1,
+                "string": "trackingplan"
+              }
+            ]
+          }
+        }
+      ]
+    },
+    "clientAnnotations": {
+      "isEditedByUser": true
+    },
+    "isRequired": true
+  },
+  {
+    "instance": {
+      "key": {
+        "publicId": "read_event_metadata",
+        "versionId": "1"
+      },
+      "param": []
+    },
+    "isRequired": true
+  },
   {
     "instance": {
       "key": {
@@ -1066,7 +5096,7 @@ ___SERVER_PERMISSIONS___
                 "mapValue": [
                   {
                     "type": 1,
-                    "string": "_TP_SID"
+                    "string": "*"
                   },
                   {
                     "type": 1,
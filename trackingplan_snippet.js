@@ -1,22 +1,85 @@
 /* Trackingplan snippet to be included in on top of templates to be monitored by Trackingplan */
+const tpObserve = (url, body, method, headers, type) => {
+    /* Reports the outgoing request once the event completes, together with its result.
+       Tags usually wait for the response before calling gtmOnSuccess, so the status
+       code and elapsed time are normally known by then. Credentials in the headers
+       are masked by the Trackingplan tag before anything is stored. */
+    const start = require('getTimestampMillis')();
+    const result = {};
+    require('addEventCallback')(() => {
+        require('sendMessage')('tp_request', {
+            type: type, url: url, body: body, method: method, headers: headers,
+            status_code: result.statusCode, response_body: result.body,
+            elapsed_ms: result.elapsedMs, error: result.error
+        });
+    });
+    return (statusCode, responseBody, error) => {
+        result.statusCode = statusCode;
+        result.body = typeof responseBody === 'string' ? responseBody.substring(0, 500) : undefined;
+        result.elapsedMs = require('getTimestampMillis')() - start;
+        result.error = error;
+    };
+};
+const tpObservePromise = (promise, done) => {
+    promise.then((response) => done(response && response.statusCode, response && response.body),
+        (error) => done(undefined, undefined, (error && error.reason) || 'failed'));
+    return promise;
+};
 const sendHttpRequest = (url, arg2, arg3, arg4) => {
     /* sendHttpRequest has two runtime signatures: the documented Promise form
        sendHttpRequest(url, options, body) and the legacy callback form
        sendHttpRequest(url, callback, options, body) used by CAPI templates
        (Pinterest, Facebook). Detect the callback form by its function 2nd arg. */
     const isCallbackForm = typeof arg2 === 'function';
-    const body = isCallbackForm ? arg4 : arg3;
-    require('addEventCallback')(() => {
-        require('sendMessage')('tp_request', { url: url, body: body });
-    });
-    return isCallbackForm
-        ? require('sendHttpRequest')(url, arg2, arg3, arg4)
-        : require('sendHttpRequest')(url, arg2, arg3);
+    const options = (isCallbackForm ? arg3 : arg2) || {};
+    const done = tpObserve(url, isCallbackForm ? arg4 : arg3, options.method || 'GET', options.headers);
+    if (isCallbackForm) {
+        return require('sendHttpRequest')(url, (statusCode, headers, body) => {
+            done(statusCode, body);
+            return arg2(statusCode, headers, body);
+        }, arg3, arg4);
+    }
+    return tpObservePromise(require('sendHttpRequest')(url, arg2, arg3), done);
 };
-const sendHttpGet = function (url, options) {
-    require('addEventCallback')(() => {
-        require('sendMessage')('tp_request', { url: url });
-    });
-    return require('sendHttpGet')(url, options);
+const sendHttpGet = function (url, arg2, arg3) {
+    /* Same two signatures as sendHttpRequest: sendHttpGet(url, options) returns a
+       Promise, the legacy sendHttpGet(url, callback, options) doesn't. */
+    const done = tpObserve(url, undefined, 'GET', ((typeof arg2 === 'function' ? arg3 : arg2) || {}).headers);
+    if (typeof arg2 === 'function') {
+        return require('sendHttpGet')(url, (statusCode, headers, body) => {
+            done(statusCode, body);
+            return arg2(statusCode, headers, body);
+        }, arg3);
+    }
+    return tpObservePromise(require('sendHttpGet')(url, arg2), done);
+};
+const BigQuery = {
+    /* BigQuery.insert(connectionInfo, rows, options). The destination table is
+       reported as bigquery://project.dataset.table and the rows as the body. */
+    insert: (connectionInfo, rows, options) => {
+        const table = (connectionInfo.projectId ? connectionInfo.projectId + '.' : '') +
+            connectionInfo.datasetId + '.' + connectionInfo.tableId;
+        const done = tpObserve('bigquery://' + table, rows, 'INSERT', undefined, 'bigquery');
+        return tpObservePromise(require('BigQuery').insert(connectionInfo, rows, options), done);
+    }
+};
+const Firestore = {
+    /* Only writes are reported, as firestore://path with the document as the body.
+       The other Firestore methods are passed through, requiring Firestore only when
+       called so templates that never use it need no Firestore permission. */
+    read: (path, options) => require('Firestore').read(path, options),
+    query: (collection, queryConditions, options) => require('Firestore').query(collection, queryConditions, options),
+    runTransaction: (callback, options) => require('Firestore').runTransaction(callback, options),
+    write: (path, input, options) => {
+        const done = tpObserve('firestore://' + path, input, 'WRITE', undefined, 'firestore');
+        return tpObservePromise(require('Firestore').write(path, input, options), done);
+    }
+};
+const sendPixelFromBrowser = (url) => {
+    /* The browser fires the pixel later, so only whether the client accepted it is known. */
+    const done = tpObserve(url, undefined, 'GET', undefined, 'browser_pixel');
+    const sent = require('sendPixelFromBrowser')(url);
+    done(undefined, undefined, sent ? undefined : 'not supported by client');
+    return sent;
 };
-/* End of Trackingplan snippet */
\ No newline at end of file
+/* End of Trackingplan snippet */